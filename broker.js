@@ -1,4 +1,4 @@
-/* global log, dbg, snowflake */
+/* global HttpTransport, Rendezvous, Protocol, Logger, RelayPattern */
 
 /**
 Communication with the snowflake broker.
@@ -16,25 +16,127 @@ class Broker {
    * On construction, this Broker object does not do anything until
    * `getClientOffer` is called.
    * @param {Config} config
+   * @param {HttpTransport} [transport] defaults to a new `HttpTransport`.
+   * @param {Logger} [logger]
    */
-  constructor(config) {
+  constructor(config, transport, logger) {
     this.getClientOffer = this.getClientOffer.bind(this);
     this._postRequest = this._postRequest.bind(this);
     this.setNATType = this.setNATType.bind(this);
 
     this.config = config;
-    this.url = config.brokerUrl;
+    this.logger = logger || new Logger();
+    this.transport = transport || new HttpTransport(config.clock, this.logger);
+    this.updateRendezvous();
+    /** @type {BrokerEndpoint[]} */
+    this.endpoints = (config.brokerUrls || [config.brokerUrl]).map(url => ({
+      url: Broker.normalizeURL(url),
+      failures: 0,
+      consecutiveFailures: 0,
+      protocolVersion: config.pollProtocolVersions[0],
+    }));
+    this.activeEndpoint = 0;
+    this.lastFailoverTime = 0;
+    /**
+     * Which endpoint each client offer came from, so that the answer goes to
+     * the same broker.
+     * @type {Map<string, BrokerEndpoint>}
+     */
+    this.sessionEndpoints = new Map();
+    /**
+     * Cancel the polls still in flight, see `abortPolls`.
+     * @type {Set<AbortController>}
+     */
+    this.pendingPolls = new Set();
     this.natType = "unknown";
-    if (0 === this.url.indexOf('localhost', 0)) {
-      // Ensure url has the right protocol + trailing slash.
-      this.url = 'http://' + this.url;
+  }
+
+  /**
+   * Pick up a change of `config.rendezvousMethod` and related settings.
+   */
+  updateRendezvous() {
+    this.rendezvous = Rendezvous.fromConfig(this.config, this.transport);
+  }
+
+  /**
+   * Ensure url has the right protocol + trailing slash.
+   * @param {string} url
+   * @returns {string}
+   */
+  static normalizeURL(url) {
+    if (0 === url.indexOf('localhost', 0)) {
+      url = 'http://' + url;
+    }
+    if (0 !== url.indexOf('http', 0)) {
+      url = 'https://' + url;
     }
-    if (0 !== this.url.indexOf('http', 0)) {
-      this.url = 'https://' + this.url;
+    if ('/' !== url.substr(-1)) {
+      url += '/';
     }
-    if ('/' !== this.url.substr(-1)) {
-      this.url += '/';
+    return url;
+  }
+
+  /** URL of the broker endpoint currently in use. */
+  get url() {
+    return this.endpoints[this.activeEndpoint].url;
+  }
+
+  /**
+   * For the UI to show which broker is in use.
+   * @returns {(BrokerEndpoint & { active: boolean })[]}
+   */
+  getEndpoints() {
+    return this.endpoints.map((endpoint, i) => ({
+      url: endpoint.url,
+      failures: endpoint.failures,
+      consecutiveFailures: endpoint.consecutiveFailures,
+      protocolVersion: endpoint.protocolVersion,
+      active: i === this.activeEndpoint,
+    }));
+  }
+
+  /**
+   * Pick the endpoint for the next poll, going back to the preferred one
+   * every once in a while.
+   * @returns {BrokerEndpoint}
+   * @private
+   */
+  selectEndpoint() {
+    if (
+      0 !== this.activeEndpoint
+      && this.config.clock.now() - this.lastFailoverTime >= this.config.preferredBrokerRetryInterval
+    ) {
+      this.logger.log('Broker: trying the preferred broker ' + this.endpoints[0].url + ' again.');
+      this.endpoints[0].consecutiveFailures = 0;
+      this.activeEndpoint = 0;
     }
+    return this.endpoints[this.activeEndpoint];
+  }
+
+  /**
+   * @param {BrokerEndpoint} endpoint
+   * @param {unknown} err what the request got rejected with.
+   * @private
+   */
+  onEndpointFailure(endpoint, err) {
+    if (!(err instanceof BrokerError)) {
+      return;
+    }
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    if (
+      endpoint.consecutiveFailures < this.config.brokerFailoverThreshold
+      || endpoint !== this.endpoints[this.activeEndpoint]
+      || this.endpoints.length < 2
+    ) {
+      return;
+    }
+    this.activeEndpoint = (this.activeEndpoint + 1) % this.endpoints.length;
+    this.lastFailoverTime = this.config.clock.now();
+    const next = this.endpoints[this.activeEndpoint];
+    next.consecutiveFailures = 0;
+    this.logger.log('Broker: ' + endpoint.url + ' failed ' + endpoint.consecutiveFailures
+      + ' times in a row, switching to ' + next.url);
   }
 
   /**
@@ -42,74 +144,156 @@ class Broker {
    * Registers this Snowflake with the broker using an HTTP POST request, and
    * waits for a response containing some client offer that the Broker chooses
    * for this proxy..
-   * Rejects on timeout or on error.
-   * TODO: Actually support multiple clients.
+   * Rejects with `Broker.MESSAGE.TIMEOUT` if there was no client to match,
+   * `Broker.MESSAGE.ABORTED` if cancelled with `abortRequests` or
+   * `abortPolls`, or with a `BrokerError` otherwise.
+   * Every concurrent poll needs its own `id`.
+   * @param {string} id
+   * @param {number} numClientsConnected
    */
   getClientOffer(id, numClientsConnected) {
-    return new Promise((fulfill, reject) => {
-      const xhr = new XMLHttpRequest();
-      xhr.onreadystatechange = function() {
-        if (xhr.DONE !== xhr.readyState) {
-          return;
-        }
-        if (xhr.status !== Broker.CODE.OK) {
-          log('Broker ERROR: Unexpected ' + xhr.status + ' - ' + xhr.statusText);
-          snowflake.ui.setStatus(' failure. Please refresh.');
-          reject(Broker.MESSAGE.UNEXPECTED);
-          return;
+    const clients = Math.floor(numClientsConnected / 8) * 8;
+    const fields = {
+      Sid: id,
+      Type: this.config.proxyType,
+      NAT: this.natType,
+      Clients: clients,
+      AcceptedRelayPattern: RelayPattern.forBroker(RelayPattern.fromConfig(this.config)),
+    };
+    const endpoint = this.selectEndpoint();
+    const controller = new AbortController();
+    this.pendingPolls.add(controller);
+    return this.poll(endpoint, fields, controller.signal)
+    .then((response) => {
+      endpoint.consecutiveFailures = 0;
+      switch (response.Status) {
+        case Broker.STATUS.MATCH:
+          this.rememberSession(id, endpoint);
+          return response;
+        case Broker.STATUS.TIMEOUT: throw Broker.MESSAGE.TIMEOUT;
+        default: {
+          this.logger.log('Broker ERROR: Unexpected ' + response.Status);
+          throw new BrokerError(BrokerError.KIND.STATUS, Broker.MESSAGE.UNEXPECTED);
         }
-        const response = JSON.parse(xhr.responseText);
-        switch (response.Status) {
-          case Broker.STATUS.MATCH: fulfill(response); return;
-          case Broker.STATUS.TIMEOUT: reject(Broker.MESSAGE.TIMEOUT); return;
-          default: {
-            log('Broker ERROR: Unexpected ' + response.Status);
-            reject(Broker.MESSAGE.UNEXPECTED);
-            return;
-          }
+      }
+    })
+    .catch((err) => {
+      this.onEndpointFailure(endpoint, err);
+      throw err;
+    })
+    .finally(() => {
+      this.pendingPolls.delete(controller);
+    });
+  }
+
+  /**
+   * Send a poll request in the newest protocol version `endpoint` is known to
+   * understand, falling back to older versions if it rejects the request.
+   * @param {BrokerEndpoint} endpoint
+   * @param {Object<string, unknown>} fields
+   * @param {AbortSignal} [signal] to cancel the poll with.
+   * @returns {Promise<Object<string, unknown>>} the validated response.
+   * @private
+   */
+  poll(endpoint, fields, signal) {
+    const version = endpoint.protocolVersion;
+    const payload = Protocol.encodePollRequest(version, fields);
+    return this._postRequest(endpoint, 'proxy', payload, this.config.brokerPollTimeout, signal)
+    .then((res) => {
+      if (res.status === Broker.CODE.BAD_REQUEST) {
+        const versions = this.config.pollProtocolVersions;
+        const older = versions[versions.indexOf(version) + 1];
+        if (older !== undefined) {
+          this.logger.log('Broker: ' + endpoint.url + ' rejected poll protocol ' + version
+            + ', falling back to ' + older);
+          endpoint.protocolVersion = older;
+          return this.poll(endpoint, fields, signal);
         }
-      };
-      this._xhr = xhr; // Used by spec to fake async Broker interaction
-      const clients = Math.floor(numClientsConnected / 8) * 8;
-      const data = {
-        Version: "1.3",
-        Sid: id,
-        Type: this.config.proxyType,
-        NAT: this.natType,
-        Clients: clients,
-        AcceptedRelayPattern: this.config.allowedRelayPattern,
-      };
-      this._postRequest(xhr, 'proxy', JSON.stringify(data));
+      }
+      if (res.status !== Broker.CODE.OK) {
+        this.logger.log('Broker ERROR: Unexpected ' + res.status + ' - ' + res.statusText);
+        throw BrokerError.fromHTTPStatus(res.status);
+      }
+      let decoded;
+      try {
+        decoded = Protocol.decodePollResponse(version, res.body);
+      } catch (e) {
+        this.logger.log('Broker ERROR: Malformed response: ' + e);
+        throw e;
+      }
+      if (decoded.unknownFields.length > 0) {
+        this.logger.dbg('Broker: response has fields unknown to protocol ' + version + ': '
+          + decoded.unknownFields.map(name => name + '=' + JSON.stringify(decoded.response[name])).join(', '));
+      }
+      return decoded.response;
     });
   }
 
+  /**
+   * @param {string} id
+   * @param {BrokerEndpoint} endpoint
+   * @private
+   */
+  rememberSession(id, endpoint) {
+    this.sessionEndpoints.set(id, endpoint);
+    // Sessions whose answer never gets sent (e.g. because of a bad offer)
+    // would otherwise pile up.
+    while (this.sessionEndpoints.size > Broker.MAX_SESSIONS) {
+      this.sessionEndpoints.delete(this.sessionEndpoints.keys().next().value);
+    }
+  }
+
   /**
    * Assumes getClientOffer happened, and a WebRTC SDP answer has been generated.
    * Sends it back to the broker, which passes it to back to the original client.
+   * If that fails, tries once more, as long as the client is still likely to
+   * be waiting for the answer.
    * @param {string} id
    * @param {RTCSessionDescription} answer
+   * @param {number} [deadline] timestamp (as in `config.clock.now()`) after which the
+   * client will have given up on us.
+   * @returns {Promise<void>} rejects with `Broker.MESSAGE.CLIENT_GONE`,
+   * `Broker.MESSAGE.ABORTED` or a `BrokerError` if the answer was not delivered.
    */
-  sendAnswer(id, answer) {
-    dbg(id + ' - Sending answer back to broker...\n');
-    dbg(answer.sdp);
-    const xhr = new XMLHttpRequest();
-    xhr.onreadystatechange = function() {
-      if (xhr.DONE !== xhr.readyState) {
-        return;
-      }
-      switch (xhr.status) {
-        case Broker.CODE.OK:
-          dbg('Broker: Successfully replied with answer.');
-          dbg(xhr.responseText);
-          break;
-        default:
-          dbg('Broker ERROR: Unexpected ' + xhr.status + ' - ' + xhr.statusText);
-          snowflake.ui.setStatus(' failure. Please refresh.');
-          break;
-      }
-    };
+  sendAnswer(id, answer, deadline) {
+    this.logger.dbg(id + ' - Sending answer back to broker...\n');
+    this.logger.dbg(answer.sdp);
     const data = {"Version": "1.0", "Sid": id, "Answer": JSON.stringify(answer)};
-    this._postRequest(xhr, 'answer', JSON.stringify(data));
+    const endpoint = this.sessionEndpoints.get(id) || this.endpoints[this.activeEndpoint];
+    this.sessionEndpoints.delete(id);
+    const budget = () => (deadline === undefined ? Infinity : deadline - this.config.clock.now());
+    const attempt = (retriesLeft) => {
+      const timeout = budget() > 0
+        ? Math.min(this.config.brokerAnswerTimeout, budget())
+        : this.config.brokerAnswerTimeout;
+      return this._postRequest(endpoint, 'answer', JSON.stringify(data), timeout)
+      .then((res) => {
+        if (res.status !== Broker.CODE.OK) {
+          this.logger.dbg('Broker ERROR: Unexpected ' + res.status + ' - ' + res.statusText);
+          throw BrokerError.fromHTTPStatus(res.status);
+        }
+        this.logger.dbg('Broker: Successfully replied with answer.');
+        this.logger.dbg(res.body);
+        let response = null;
+        try {
+          response = JSON.parse(res.body);
+        } catch (e) {
+          // Older brokers don't say anything else.
+        }
+        if (response !== null && response.Status === Broker.STATUS.CLIENT_GONE) {
+          throw Broker.MESSAGE.CLIENT_GONE;
+        }
+      })
+      .catch((err) => {
+        const retriable = err instanceof BrokerError && err.kind !== BrokerError.KIND.CLIENT;
+        if (retriable && retriesLeft > 0 && budget() > 0) {
+          this.logger.dbg('Broker: failed to send the answer (' + err + '), retrying.');
+          return attempt(retriesLeft - 1);
+        }
+        throw err;
+      });
+    };
+    return attempt(1);
   }
 
   setNATType(natType) {
@@ -117,29 +301,61 @@ class Broker {
   }
 
   /**
-   * @param {XMLHttpRequest} xhr
+   * Cancel all the requests to the broker that are still in flight, e.g.
+   * because the proxy is being disabled. Their promises get rejected with
+   * `Broker.MESSAGE.ABORTED`.
+   */
+  abortRequests() {
+    this.transport.abortAll();
+  }
+
+  /**
+   * Cancel the polls in flight, but let answers still go through. The
+   * promises of the polls get rejected with `Broker.MESSAGE.ABORTED`, unless
+   * a match was already on its way: then it still comes through, as the
+   * broker has handed that client to us and only we can answer it.
+   */
+  abortPolls() {
+    for (const controller of this.pendingPolls) {
+      controller.abort();
+    }
+    this.pendingPolls.clear();
+  }
+
+  /**
+   * @param {BrokerEndpoint} endpoint
    * @param {string} urlSuffix for the broker is different depending on what action
    * is desired.
    * @param {string} payload
+   * @param {number} timeout in milliseconds
+   * @param {AbortSignal} [signal] to cancel the request with.
+   * @returns {Promise<HttpTransportResponse>} rejects with
+   * `Broker.MESSAGE.ABORTED` or a `BrokerError` if no response was received.
    */
-  _postRequest(xhr, urlSuffix, payload) {
-    try {
-      xhr.open('POST', this.url + urlSuffix);
-    } catch (err) {
-      /*
-      An exception happens here when, for example, NoScript allows the domain
-      on which the proxy badge runs, but not the domain to which it's trying
-      to make the HTTP xhr. The exception message is like "Component
-      returned failure code: 0x805e0006 [nsIXMLHttpRequest.open]" on Firefox.
-      */
-      log('Broker: exception while connecting: ' + err.message);
-      return;
-    }
-    xhr.send(payload);
+  _postRequest(endpoint, urlSuffix, payload, timeout, signal) {
+    return this.rendezvous.exchange(endpoint.url, urlSuffix, payload, timeout, signal)
+    .catch((err) => {
+      if (err === HttpTransport.ERROR.ABORTED) {
+        throw Broker.MESSAGE.ABORTED;
+      }
+      this.logger.log('Broker: failed to connect: ' + err);
+      throw new BrokerError(BrokerError.KIND.NETWORK, Broker.MESSAGE.UNREACHABLE);
+    });
   }
 
 }
 
+/**
+ * @typedef {Object} BrokerEndpoint
+ * @property {string} url
+ * @property {number} failures in total.
+ * @property {number} consecutiveFailures since the last good response.
+ * @property {string} protocolVersion of polls that this broker understands.
+ */
+
+// How many client offers to remember the endpoint of, see `rememberSession`.
+Broker.MAX_SESSIONS = 16;
+
 Broker.CODE = {
   OK: 200,
   BAD_REQUEST: 400,
@@ -148,11 +364,62 @@ Broker.CODE = {
 
 Broker.STATUS = {
   MATCH: "client match",
-  TIMEOUT: "no match"
+  TIMEOUT: "no match",
+  CLIENT_GONE: "client gone"
 };
 
 Broker.MESSAGE = {
   TIMEOUT: 'Timed out waiting for a client offer.',
-  UNEXPECTED: 'Unexpected status.'
+  UNEXPECTED: 'Unexpected status.',
+  UNREACHABLE: 'Could not get a response from the broker.',
+  MALFORMED: 'Malformed response.',
+  HTTP: 'Unexpected HTTP status.',
+  CLIENT_GONE: 'The client is no longer waiting for an answer.',
+  ABORTED: 'Request to the broker was cancelled.'
+};
+
+
+/**
+ * A failed interaction with the broker, classified so that the UI and the
+ * retry policy don't have to parse messages.
+ */
+class BrokerError extends Error {
+
+  /**
+   * @param {string} kind one of `BrokerError.KIND`
+   * @param {string} message one of `Broker.MESSAGE`
+   * @param {number} [httpStatus]
+   */
+  constructor(kind, message, httpStatus) {
+    super(message);
+    this.name = 'BrokerError';
+    this.kind = kind;
+    this.httpStatus = httpStatus;
+  }
+
+  /**
+   * @param {number} httpStatus anything but `Broker.CODE.OK`
+   * @returns {BrokerError}
+   */
+  static fromHTTPStatus(httpStatus) {
+    const kind = httpStatus >= 400 && httpStatus < 500
+      ? BrokerError.KIND.CLIENT
+      : BrokerError.KIND.SERVER;
+    return new BrokerError(kind, Broker.MESSAGE.HTTP, httpStatus);
+  }
+
+}
+
+BrokerError.KIND = {
+  // No response at all.
+  NETWORK: 'network',
+  // 4xx.
+  CLIENT: 'client',
+  // 5xx, or any other unexpected HTTP status.
+  SERVER: 'server',
+  // The response is not valid JSON.
+  MALFORMED: 'malformed',
+  // The response has an unknown `Status`.
+  STATUS: 'status'
 };
 
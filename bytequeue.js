@@ -0,0 +1,75 @@
+/* exported ByteQueue */
+
+/**
+A first in, first out queue of chunks of data that keeps count of how many
+bytes it holds.
+
+The chunks are kept in a ring buffer, so that taking one out doesn't move the
+others like `Array.prototype.shift` does. It grows as needed.
+*/
+
+class ByteQueue {
+
+  constructor() {
+    /** @type {Array<ArrayBuffer | ArrayBufferView | undefined>} */
+    this.ring = new Array(ByteQueue.INITIAL_CAPACITY);
+    // Where the oldest chunk is.
+    this.head = 0;
+    // How many chunks there are.
+    this.length = 0;
+    // How many bytes the chunks add up to.
+    this.bytes = 0;
+  }
+
+  /**
+   * @param {ArrayBuffer | ArrayBufferView} chunk
+   */
+  push(chunk) {
+    if (this.length === this.ring.length) {
+      this.grow();
+    }
+    this.ring[(this.head + this.length) % this.ring.length] = chunk;
+    this.length++;
+    this.bytes += chunk.byteLength;
+  }
+
+  /**
+   * @returns {ArrayBuffer | ArrayBufferView | undefined} the oldest chunk,
+   * taken out, or `undefined` if there's none.
+   */
+  shift() {
+    if (0 === this.length) {
+      return undefined;
+    }
+    const chunk = this.ring[this.head];
+    this.ring[this.head] = undefined;
+    this.head = (this.head + 1) % this.ring.length;
+    this.length--;
+    this.bytes -= chunk.byteLength;
+    return chunk;
+  }
+
+  /** Drop all chunks. */
+  clear() {
+    this.ring = new Array(ByteQueue.INITIAL_CAPACITY);
+    this.head = 0;
+    this.length = 0;
+    this.bytes = 0;
+  }
+
+  /**
+   * Double the room for chunks, unwrapping them on the way.
+   * @private
+   */
+  grow() {
+    const ring = new Array(this.ring.length * 2);
+    for (let i = 0; i < this.length; i++) {
+      ring[i] = this.ring[(this.head + i) % this.ring.length];
+    }
+    this.ring = ring;
+    this.head = 0;
+  }
+
+}
+
+ByteQueue.INITIAL_CAPACITY = 16;
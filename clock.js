@@ -0,0 +1,104 @@
+/* exported Clock, ManualClock */
+
+/**
+Time and timers, as `config.clock`.
+
+Everything that waits or measures time goes through one, so that it can be
+swapped for a `ManualClock` to drive rate limiting, polling and the
+connection timeouts step by step.
+*/
+
+class Clock {
+
+  /**
+   * @returns {number} milliseconds, like `Date.now()`.
+   */
+  now() {
+    return Date.now();
+  }
+
+  /**
+   * @param {() => void} callback
+   * @param {number} delay in milliseconds.
+   * @returns {number} to pass to `clearTimeout`.
+   */
+  setTimeout(callback, delay) {
+    return setTimeout(callback, delay);
+  }
+
+  /**
+   * @param {number} id as returned by `setTimeout`. Anything falsy is ignored.
+   */
+  clearTimeout(id) {
+    clearTimeout(id);
+  }
+
+}
+
+
+/**
+A clock that only moves when told to, see `tick`.
+*/
+
+class ManualClock extends Clock {
+
+  /**
+   * @param {number} [time] to start at, in milliseconds.
+   */
+  constructor(time) {
+    super();
+    this.time = time || 0;
+    /** @type {Map<number, { at: number, callback: () => void }>} */
+    this.timers = new Map();
+    this.lastId = 0;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(callback, delay) {
+    this.lastId++;
+    this.timers.set(this.lastId, {
+      at: this.time + Math.max(delay || 0, 0),
+      callback: callback,
+    });
+    return this.lastId;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  /**
+   * Move time forward, running the timers that come due on the way, in order.
+   * @param {number} ms
+   */
+  tick(ms) {
+    const end = this.time + ms;
+    for (;;) {
+      let nextId = null;
+      for (const [id, timer] of this.timers) {
+        if (timer.at <= end && (nextId === null || timer.at < this.timers.get(nextId).at)) {
+          nextId = id;
+        }
+      }
+      if (nextId === null) {
+        break;
+      }
+      const timer = this.timers.get(nextId);
+      this.timers.delete(nextId);
+      this.time = Math.max(this.time, timer.at);
+      timer.callback();
+    }
+    this.time = end;
+  }
+
+  /**
+   * @returns {number} how many timers are waiting to go off.
+   */
+  pending() {
+    return this.timers.size;
+  }
+
+}
@@ -1,3 +1,4 @@
+/* global Clock */
 
 class Config {
   constructor(proxyType) {
@@ -7,6 +8,29 @@ class Config {
 
 Config.prototype.brokerUrl = 'snowflake-broker.freehaven.net';
 
+// Ordered list of broker endpoints to fail over between, the preferred one
+// first. When unset, only `brokerUrl` is used.
+Config.prototype.brokerUrls = null;
+
+// How to reach the broker, one of `Rendezvous.METHOD`.
+Config.prototype.rendezvousMethod = 'direct';
+
+// For 'domain-fronting': the host to connect to instead of the broker.
+Config.prototype.brokerFront = '';
+
+// For 'amp-cache': the AMP cache to go through.
+Config.prototype.ampCacheUrl = 'https://cdn.ampproject.org/';
+
+// `pollProtocolVersions`, the poll protocol versions to offer the broker,
+// preferred first, defaults to all of `Protocol.POLL_VERSIONS`, see
+// protocol.js. If a broker rejects a poll, the next one is tried.
+
+// Switch to the next broker endpoint after this many failures in a row.
+Config.prototype.brokerFailoverThreshold = 3;
+
+// After failing over, go back to the preferred endpoint after this long.
+Config.prototype.preferredBrokerRetryInterval = 30 * 60 * 1000;
+
 Config.prototype.defaultRelayAddr = 'wss://snowflake.freehaven.net';
 
 // Original non-wss relay:
@@ -17,15 +41,49 @@ Config.prototype.cookieName = "snowflake-allow";
 // Bytes per second. Set to undefined to disable limit.
 Config.prototype.rateLimitBytes = undefined;
 
+// Separate limits, in bytes per second, for the client's upload (client to
+// relay) and download (relay to client). When either is set, each direction
+// gets its own limit, falling back to `rateLimitBytes`. Otherwise
+// `rateLimitBytes` is shared by both.
+Config.prototype.clientToRelayRateLimitBytes = undefined;
+Config.prototype.relayToClientRateLimitBytes = undefined;
+
 Config.prototype.minRateLimit = 10 * 1024;
 
 Config.prototype.rateLimitHistory = 5.0;
 
+// Bytes each client gets to send per round when clients take turns on a rate
+// limit, see `FairRateLimit`. About the size of a message.
+Config.prototype.fairShareQuantum = 16 * 1024;
+
 Config.prototype.defaultBrokerPollInterval = 60.0 * 1000; //1 poll every minutes
 Config.prototype.slowestBrokerPollInterval = 6 * 60 * 60.0 * 1000; //1 poll every 6 hours
 Config.prototype.pollAdjustment = 100.0 * 1000;
 Config.prototype.fastBrokerPollInterval = 30 * 1000; //1 poll every 30 seconds
 
+// How the above get used, one of `PollStrategy.KIND`.
+Config.prototype.pollStrategy = 'adaptive';
+
+// For 'aimd': poll more often while at least this share of the clients that
+// we got within the window managed to connect.
+Config.prototype.pollSuccessTarget = 0.5;
+Config.prototype.pollSuccessWindow = 60 * 60 * 1000;
+
+// Bytes relayed per calendar day and month, see `Quota`. Once either is used
+// up, stop taking clients until it resets. Set to undefined for no quota.
+Config.prototype.dailyQuotaBytes = undefined;
+Config.prototype.monthlyQuotaBytes = undefined;
+
+// Deadline for a poll request. The broker itself holds a poll for up to
+// 10 seconds (its `ProxyTimeout`) before replying with "no match".
+Config.prototype.brokerPollTimeout = 30 * 1000;
+
+// Deadline for delivering an answer to the broker.
+Config.prototype.brokerAnswerTimeout = 10 * 1000;
+
+// Upper bound of the backoff applied after consecutive broker failures.
+Config.prototype.maxBrokerBackoff = 60 * 60 * 1000;
+
 // Recheck our NAT type once every 2 days
 Config.prototype.natCheckInterval = 2 * 24 * 60 * 60 * 1000;
 
@@ -35,6 +93,14 @@ Config.prototype.datachannelTimeout = 20 * 1000;
 // Timeout to close proxypair if no messages are sent
 Config.prototype.messageTimeout = 30 * 1000;
 
+// How long a client's connection may stay disconnected before we give up on
+// it. It often comes back on its own within a few seconds.
+Config.prototype.disconnectGracePeriod = 5 * 1000;
+
+// How long the client waits for our answer after the broker gives us its
+// offer (`ClientTimeout`).
+Config.prototype.clientTimeout = 10 * 1000;
+
 // This must be smaller than the clien't timeout (`ClientTimeout`)
 // (which is 10 seconds by default as of now), otherwise the client would be
 // gone before we send the answer.
@@ -43,8 +109,25 @@ Config.prototype.answerTimeout = 6 * 1000;
 
 Config.prototype.maxNumClients = 1;
 
+// Bytes that may be waiting to be passed on, in all pairs together. Past
+// that, the pairs holding the most get closed.
+Config.prototype.maxQueuedBytes = 64 * 1024 * 1024;
+
+// How many of the latest clients `Snowflake.getHistory` remembers.
+Config.prototype.pairHistorySize = 100;
+
+// Weekly windows to run in, see `Schedule`. When unset, run whenever
+// turned on.
+Config.prototype.schedule = null;
+
+// When turned off, keep serving the clients we have for up to this long.
+Config.prototype.drainTimeout = 10 * 60 * 1000;
+
 Config.prototype.proxyType = "";
 
+// Where time comes from, for timers and rate limiting, see `Clock`.
+Config.prototype.clock = new Clock();
+
 // TODO: Different ICE servers.
 Config.prototype.pcConfig = {
   iceServers: [
@@ -54,6 +137,26 @@ Config.prototype.pcConfig = {
   ]
 };
 
-Config.PROBEURL = "https://snowflake-broker.freehaven.net:8443/probe";
+// The probe test server, which tells us whether our NAT is restricted.
+Config.prototype.probeUrl = "https://snowflake-broker.freehaven.net:8443/probe";
+
+// What used to set the probe test server, for every `Config`. If set, it's
+// still used instead of `probeUrl`.
+Config.PROBEURL = null;
+
+// STUN servers for the NAT checks. Telling a symmetric NAT apart takes at
+// least two. The probe test itself uses the first one.
+Config.prototype.probeStunServers = [
+  'stun:stun1.l.google.com:19302',
+  'stun:stun2.l.google.com:19302'
+];
+
+// How long each step of the NAT checks may take.
+Config.prototype.probeTimeout = 20 * 1000;
+
+// Relays we accept to connect clients to, see `RelayPattern`.
+Config.prototype.allowedRelayPatterns = ["snowflake.torproject.net"];
 
-Config.prototype.allowedRelayPattern="snowflake.torproject.net";
+// What `allowedRelayPatterns` used to be: a single pattern. If set, it's
+// still used instead, see `RelayPattern.fromConfig`.
+Config.prototype.allowedRelayPattern = null;
@@ -0,0 +1,70 @@
+/* exported EventEmitter */
+
+/**
+Lets the UIs and embedders observe what a `Snowflake` and its `ProxyPair`s are
+doing, without those having to know who is listening.
+*/
+
+class EventEmitter {
+
+  constructor() {
+    /**
+     * @type {Map<string, Function[]>}
+     * @private
+     */
+    this.listeners = new Map();
+  }
+
+  /**
+   * @param {string} type
+   * @param {Function} listener
+   * @returns {this}
+   */
+  on(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (listeners) {
+      listeners.push(listener);
+    } else {
+      this.listeners.set(type, [listener]);
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} type
+   * @param {Function} listener
+   * @returns {this}
+   */
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (listeners) {
+      const ind = listeners.indexOf(listener);
+      if (ind > -1) {
+        listeners.splice(ind, 1);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Call every listener of `type` with `args`. A listener that throws doesn't
+   * keep the others from being called.
+   * @param {string} type
+   * @param {...unknown} args
+   */
+  emit(type, ...args) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) {
+      return;
+    }
+    // Listeners may unsubscribe while we're at it.
+    for (const listener of listeners.slice()) {
+      try {
+        listener(...args);
+      } catch (e) {
+        console.log('Error in a \'' + type + '\' listener: ' + e);
+      }
+    }
+  }
+
+}
@@ -0,0 +1,125 @@
+/* exported FairRateLimit */
+
+/**
+Divides a rate limit fairly among the clients that share it.
+
+Every client gets its own share of the limit, see `share`. The shares take
+turns, deficit round robin style: each round, every share that is being held
+back gets to send `quantum` more bytes, and a share that has used up what it
+got waits for the others to use up theirs before the next round starts. A
+share on its own gets the whole limit.
+*/
+
+class FairRateLimit {
+
+  /**
+   * @param {BucketRateLimit} limit the overall one.
+   * @param {number} quantum bytes each share gets per round.
+   */
+  constructor(limit, quantum) {
+    this.limit = limit;
+    this.quantum = quantum;
+    /** @type {Set<FairShare>} */
+    this.shares = new Set();
+  }
+
+  /**
+   * @returns {FairShare} for a new client, to `release` once it's gone.
+   */
+  share() {
+    const share = new FairShare(this);
+    this.shares.add(share);
+    return share;
+  }
+
+  /**
+   * @param {FairShare} share
+   * @returns {boolean} whether `share` may send now.
+   * @private
+   */
+  allows(share) {
+    if (this.limit.isLimited()) {
+      return false;
+    }
+    if (share.deficit > 0) {
+      return true;
+    }
+    for (const other of this.shares) {
+      if (other !== share && other.waiting && other.deficit > 0) {
+        return false;
+      }
+    }
+    // Everyone who is waiting is done with this round, start the next one.
+    // Those who aren't waiting have nothing to send, and don't get to save
+    // up for later.
+    for (const other of this.shares) {
+      if (other !== share && !other.waiting) {
+        other.deficit = 0;
+      }
+    }
+    while (share.deficit <= 0) {
+      for (const other of this.shares) {
+        if (other === share || other.waiting) {
+          other.deficit += this.quantum;
+        }
+      }
+    }
+    return true;
+  }
+
+}
+
+
+/**
+ * One client's share of a `FairRateLimit`, to be used like a
+ * `BucketRateLimit`.
+ */
+class FairShare {
+
+  /**
+   * @param {FairRateLimit} fair
+   */
+  constructor(fair) {
+    this.fair = fair;
+    // Bytes left to send this round.
+    this.deficit = 0;
+    // Whether there's something to send that we're holding back.
+    this.waiting = false;
+  }
+
+  update(n) {
+    this.deficit -= n;
+    return this.fair.limit.update(n);
+  }
+
+  /** How many seconds in the future will the limit expire? */
+  when() {
+    const limit = this.fair.limit;
+    if (limit.isLimited()) {
+      return limit.when();
+    }
+    // Waiting for the others, give them about the time it takes to send a
+    // quantum.
+    return this.fair.quantum / (limit.capacity / limit.time);
+  }
+
+  isLimited() {
+    this.waiting = !this.fair.allows(this);
+    return this.waiting;
+  }
+
+  /**
+   * Stop counting as waiting, when what holds our data back now is something
+   * other than the limit, like a full send buffer. Otherwise the others would
+   * wait for us to take our turn, while we aren't asking for it.
+   */
+  idle() {
+    this.waiting = false;
+  }
+
+  /** Stop taking part, once the client is gone. */
+  release() {
+    this.fair.shares.delete(this);
+  }
+
+}
@@ -1,4 +1,4 @@
-/* global Util, Params, Config, UI, Broker, Snowflake, Popup, Parse, availableLangs, WS */
+/* global Util, Params, Config, UI, Broker, Snowflake, Popup, Parse, availableLangs, WS, Logger, NATState */
 
 /*
 UI
@@ -39,18 +39,30 @@ class BadgeUI extends UI {
   }
 
   checkNAT() {
-    Util.checkNATType(config.datachannelTimeout).then((type) => {
-      console.log("Setting NAT type: " + type);
-      this.natType = type;
+    Util.checkNATType(config).then((result) => {
+      console.log("Setting NAT type: " + result.natType + " (" + result.mapping + " mapping)");
+      this.natState.setProbeResult(result.natType, result.mapping);
     }).catch((e) => {
       console.log(e);
+    }).then(() => {
+      this.natCheckTimeoutId = setTimeout(() => {this.checkNAT();}, config.natCheckInterval);
     });
   }
 
-  initNATType() {
-    this.natType = "unknown";
-    this.checkNAT();
-    setInterval(() => {this.checkNAT();}, config.natCheckInterval);
+  /**
+   * Only probe if what we know about our NAT has gone stale.
+   * @param {NATState} natState
+   */
+  initNATType(natState) {
+    this.natState = natState;
+    natState.load().then(() => {
+      if (natState.isFresh()) {
+        console.log("Reusing NAT type: " + natState.natType);
+        this.natCheckTimeoutId = setTimeout(() => {this.checkNAT();}, natState.timeUntilStale());
+      } else {
+        this.checkNAT();
+      }
+    });
   }
 
   setStatus() {}
@@ -68,18 +80,24 @@ class BadgeUI extends UI {
       this.setIcon('on');
     }
     const total = this.stats.reduce((t, c) => t + c, 0);
-    this.popup.turnOn(this.clients, total);
+    this.popup.setBroker(this.activeBrokerUrl);
+    this.popup.turnOn(this.clients, total, this.brokerError);
   }
 
   turnOff() {
     this.enabled = false;
     this.setIcon('off');
     this.popup.turnOff();
+    if (this.draining) {
+      this.popup.setDraining(this.clients);
+    }
   }
 
   postActive() {
     if(this.enabled) {
       this.turnOn();
+    } else if (this.draining) {
+      this.popup.setDraining(this.clients);
     }
   }
 
@@ -91,6 +109,10 @@ class BadgeUI extends UI {
 
 BadgeUI.prototype.popup = null;
 
+BadgeUI.prototype.natState = null;
+
+BadgeUI.prototype.natCheckTimeoutId = 0;
+
 
 /*
 Entry point.
@@ -101,6 +123,9 @@ var COOKIE_NAME = "snowflake-allow";
 var COOKIE_LIFETIME = "Thu, 01 Jan 2038 00:00:00 GMT";
 var COOKIE_EXPIRE = "Thu, 01 Jan 1970 00:00:01 GMT";
 
+// Where the `NATState` is kept in `localStorage`.
+var NAT_STATE_KEY = "snowflake-nat-state";
+
 function setSnowflakeCookie(val, expires) {
   document.cookie = `${COOKIE_NAME}=${val}; path=/; expires=${expires}; secure=true; samesite=none;`;
 }
@@ -132,8 +157,12 @@ var
   config,
   /** @type {Broker | null} */
   broker,
+  /** @type {NATState | null} */
+  natState,
   /** @type {UIOfThisContext | null} */
   ui,
+  /** @type {Logger} */
+  logger,
   /** @type {(msg: unknown) => void} */
   log,
   /** @type {(msg: unknown) => void} */
@@ -160,17 +189,19 @@ var
   silenceNotifications = Params.getBool(query, 'silent', false);
 
   // Log to both console and UI if applicable.
-  // Requires that the snowflake and UI objects are hooked up in order to
-  // log to console.
-  log = function(msg) {
+  logger = new Logger(function(msg) {
     console.log('Snowflake: ' + msg);
-    if (snowflake != null) {
-      snowflake.ui.log(msg);
+    if (ui != null) {
+      ui.log(msg);
     }
+  }, debug);
+
+  log = function(msg) {
+    logger.log(msg);
   };
 
   dbg = function(msg) {
-    if (debug) { log(msg); }
+    logger.dbg(msg);
   };
 
   tryProbe = function() {
@@ -193,8 +224,8 @@ var
   update = function() {
     const cookies = Parse.cookie(document.cookie);
     if (cookies[COOKIE_NAME] !== '1') {
+      snowflake.drain();
       ui.turnOff();
-      snowflake.disable();
       log('Currently not active.');
       return;
     }
@@ -217,15 +248,21 @@ var
     }
 
     config = new Config("badge");
+    // Don't take up much of a web page's memory.
+    config.maxQueuedBytes = 16 * 1024 * 1024;
     if ('off' !== query.get('ratelimit')) {
-      config.rateLimitBytes = Params.getByteCount(query, 'ratelimit', config.rateLimitBytes);
+      Object.assign(config, Params.getRateLimit(query, 'ratelimit'));
     }
-    broker = new Broker(config);
-    snowflake = new Snowflake(config, ui, broker);
+    broker = new Broker(config, null, logger);
+    natState = new NATState(config, {
+      get: () => new Promise(r => r(JSON.parse(localStorage.getItem(NAT_STATE_KEY)))),
+      set: state => new Promise(r => r(localStorage.setItem(NAT_STATE_KEY, JSON.stringify(state)))),
+    }, logger);
+    snowflake = new Snowflake(config, ui, broker, logger, natState);
     log('== snowflake proxy ==');
     update();
 
-    ui.initNATType();
+    ui.initNATType(natState);
   };
 
   // Notification of closing tab with active proxy.
@@ -1,25 +1,57 @@
-/* global Config, UI, Broker, Snowflake */
+/* global Config, UI, Broker, Snowflake, Logger, Quota, NodeHttpTransport, require */
 
 /*
 Entry point.
 */
 
-var config = new Config("node");
-
-var ui = new UI();
-
-var broker = new Broker(config);
+var fs = require('fs');
 
-var snowflake = new Snowflake(config, ui, broker);
+// Where the quota usage is kept between runs.
+var QUOTA_FILE = 'snowflake-quota.json';
 
-var log = function(msg) {
-  console.log('Snowflake: ' + msg);
-};
-
-var dbg = log;
-
-log('== snowflake proxy ==');
+var config = new Config("node");
+// A standalone proxy can afford to hold more.
+config.maxQueuedBytes = 256 * 1024 * 1024;
 
-dbg('Contacting Broker at ' + broker.url);
+var ui = new UI();
 
-snowflake.beginServingClients();
+var logger = new Logger(null, true);
+
+// Unlike `fetch`, it can do domain fronting.
+var broker = new Broker(config, new NodeHttpTransport(config.clock, logger), logger);
+
+var quota = new Quota(config, {
+  get: function() {
+    // A missing or corrupt file means no usage saved.
+    return fs.promises.readFile(QUOTA_FILE, 'utf8')
+    .then(function(s) { return JSON.parse(s); })
+    .catch(function() { return undefined; });
+  },
+  set: function(usage) {
+    return fs.promises.writeFile(QUOTA_FILE, JSON.stringify(usage));
+  }
+}, logger);
+
+var snowflake = new Snowflake(config, ui, broker, logger, undefined, quota);
+
+// Log what each client did, and how much of the quota is used up, whenever
+// one leaves. `snowflake.getHistory()` has the latest ones.
+snowflake.on(Snowflake.EVENT.CLOSE, function(pair, reason, summary) {
+  if (pair.wasConnected) {
+    logger.log('Client ' + summary.id + ' gone after ' +
+      Math.round(summary.lifetime / 1000) + ' s (' + (reason || 'closed') + '): ' +
+      summary.clientToRelayBytes + ' bytes up, ' +
+      summary.relayToClientBytes + ' bytes down, connected in ' +
+      summary.timeToChannelOpen + ' ms, relay in ' + summary.timeToRelayOpen + ' ms.');
+    logger.log('Quota: ' + quota.summary());
+  }
+});
+
+logger.log('== snowflake proxy ==');
+
+logger.dbg('Contacting Broker at ' + broker.url);
+
+quota.load().then(function() {
+  logger.log('Quota: ' + quota.summary());
+  snowflake.beginServingClients();
+});
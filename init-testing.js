@@ -1,4 +1,4 @@
-/* global TESTING, Util, Params, Config, UI, Broker, Snowflake */
+/* global TESTING, Util, Params, Config, UI, Broker, Snowflake, Logger */
 
 /*
 UI
@@ -23,6 +23,37 @@ class DebugUI extends UI {
     return this.$status.appendChild(txt);
   }
 
+  subscribe(snowflake) {
+    super.subscribe(snowflake);
+    snowflake.on(Snowflake.EVENT.OFFER, (pair) => {
+      this.setStatus('offer received for ' + pair.id);
+    });
+    snowflake.on(Snowflake.EVENT.ANSWER, (pair) => {
+      this.setStatus('answer sent for ' + pair.id);
+    });
+    snowflake.on(Snowflake.EVENT.CLOSE, (pair, reason, summary) => {
+      if (pair.wasConnected) {
+        this.log('closed ' + JSON.stringify(summary));
+      }
+    });
+  }
+
+  setBrokerError(error) {
+    super.setBrokerError(error);
+    if (error) {
+      this.setStatus('broker failure (' + error.kind + '): ' + error.message);
+    }
+  }
+
+  setBrokerEndpoints(endpoints) {
+    const previous = this.activeBrokerUrl;
+    super.setBrokerEndpoints(endpoints);
+    if (previous !== this.activeBrokerUrl) {
+      this.log('Using broker ' + this.activeBrokerUrl + ' (failures: '
+        + endpoints.map(e => e.url + ' ' + e.failures).join(', ') + ')');
+    }
+  }
+
   increaseClients() {
     super.increaseClients();
     return this.$msglog.className = this.active ? 'active' : '';
@@ -60,6 +91,8 @@ var
   query,
   /** @type {UIOfThisContext} */
   ui,
+  /** @type {Logger} */
+  logger,
   /** @type {(msg: unknown) => void} */
   log,
   /** @type {(msg: unknown) => void} */
@@ -86,29 +119,32 @@ var
   silenceNotifications = Params.getBool(query, 'silent', false);
 
   // Log to both console and UI if applicable.
-  // Requires that the snowflake and UI objects are hooked up in order to
-  // log to console.
-  log = function(msg) {
+  logger = new Logger(function(msg) {
     console.log('Snowflake: ' + msg);
-    return snowflake != null ? snowflake.ui.log(msg) : undefined;
+    if (ui != null) {
+      ui.log(msg);
+    }
+  }, debug);
+
+  log = function(msg) {
+    logger.log(msg);
   };
 
   dbg = function(msg) {
-    if (debug || ((snowflake != null ? snowflake.ui : undefined) instanceof DebugUI)) {
-      return log(msg);
-    }
+    logger.dbg(msg);
   };
 
   init = function() {
     const config = new Config("testing");
-    if ('off' !== query['ratelimit']) {
-      config.rateLimitBytes = Params.getByteCount(query, 'ratelimit', config.rateLimitBytes);
+    if ('off' !== query.get('ratelimit')) {
+      Object.assign(config, Params.getRateLimit(query, 'ratelimit'));
     }
     ui = document.getElementById('status') !== null
       ? new DebugUI()
       : new UI();
-    const broker = new Broker(config);
-    snowflake = new Snowflake(config, ui, broker);
+    logger.debug = debug || ui instanceof DebugUI;
+    const broker = new Broker(config, null, logger);
+    snowflake = new Snowflake(config, ui, broker, logger);
     log('== snowflake proxy ==');
     if (Util.snowflakeIsDisabled(config.cookieName)) {
       // Do not activate the proxy if any number of conditions are true.
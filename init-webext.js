@@ -1,4 +1,4 @@
-/* global Util, chrome, Config, UI, Broker, Snowflake, WS */
+/* global Util, chrome, Config, UI, Broker, Snowflake, WS, Logger, NATState, Schedule, Quota, Rendezvous */
 /* eslint no-unused-vars: 0 */
 
 /*
@@ -39,10 +39,55 @@ function maybeChangeBackgroundPermission(enabledSetting, runInBackgroundSetting)
   });
 }
 
+/**
+ * `Config` properties that can be overridden on the options page. They are
+ * stored in `chrome.storage.local` under the 'settings' key.
+ * Domain fronting isn't offered, as browsers don't let us set the `Host`
+ * header it needs.
+ */
+const SETTINGS_KEYS = [
+  'rendezvousMethod',
+  'ampCacheUrl',
+  'allowedRelayPatterns',
+  'schedule',
+  'dailyQuotaBytes',
+  'monthlyQuotaBytes',
+  'clientToRelayRateLimitBytes',
+  'relayToClientRateLimitBytes',
+];
+
+/**
+ * @param {Config} config
+ * @param {Object<string, unknown>} settings
+ */
+function applySettings(config, settings) {
+  for (const key of SETTINGS_KEYS) {
+    // Earlier versions offered domain fronting, which couldn't work here.
+    if (key === 'rendezvousMethod' && settings[key] === Rendezvous.METHOD.DOMAIN_FRONTING) {
+      delete config[key];
+      continue;
+    }
+    // There's no relay to take clients to without a pattern.
+    if (key === 'allowedRelayPatterns' && Array.isArray(settings[key]) && settings[key].length === 0) {
+      delete config[key];
+      continue;
+    }
+    if (settings[key] !== undefined) {
+      config[key] = settings[key];
+    } else {
+      // Fall back to the default from `Config.prototype`.
+      delete config[key];
+    }
+  }
+}
+
 // If you want to gonna change this to `false`, double-check everything as some code
 // may still be assuming it to be `true`.
 const DEFAULT_ENABLED = true;
 
+// Name of the `chrome.alarms` alarm that goes off at the schedule's boundaries.
+const SCHEDULE_ALARM = 'schedule';
+
 class WebExtUI extends UI {
 
   constructor() {
@@ -50,22 +95,67 @@ class WebExtUI extends UI {
     this.onConnect = this.onConnect.bind(this);
     this.onMessage = this.onMessage.bind(this);
     this.onDisconnect = this.onDisconnect.bind(this);
+    this.onAlarm = this.onAlarm.bind(this);
     chrome.runtime.onConnect.addListener(this.onConnect);
+    chrome.alarms.onAlarm.addListener(this.onAlarm);
+  }
+
+  /**
+   * Only run within the windows of `schedule`, if there is one. An alarm
+   * wakes us up whenever one starts or ends.
+   * @param {ScheduleWindow[] | null} windows
+   */
+  setSchedule(windows) {
+    this.schedule = windows && windows.length > 0 ? new Schedule(windows, config.clock) : null;
+    chrome.alarms.clear(SCHEDULE_ALARM);
+    const next = this.schedule && this.schedule.nextChange();
+    if (next) {
+      chrome.alarms.create(SCHEDULE_ALARM, { when: next.getTime() });
+    }
+    this.postActive();
+  }
+
+  /**
+   * @returns {boolean} whether the schedule lets us run right now.
+   */
+  isWithinSchedule() {
+    return this.schedule === null || this.schedule.isActive();
+  }
+
+  onAlarm(alarm) {
+    if (alarm.name !== SCHEDULE_ALARM) {
+      return;
+    }
+    log(this.isWithinSchedule() ? 'Schedule: starting.' : 'Schedule: stopping.');
+    this.setSchedule(config.schedule);
+    update();
   }
 
   checkNAT() {
-    Util.checkNATType(config.datachannelTimeout).then((type) => {
-      console.log("Setting NAT type: " + type);
-      this.natType = type;
+    Util.checkNATType(config).then((result) => {
+      console.log("Setting NAT type: " + result.natType + " (" + result.mapping + " mapping)");
+      this.natState.setProbeResult(result.natType, result.mapping);
     }).catch((e) => {
       console.log(e);
+    }).then(() => {
+      this.natCheckTimeoutId = setTimeout(() => {this.checkNAT();}, config.natCheckInterval);
     });
   }
 
-  initNATType() {
-    this.natType = "unknown";
-    this.checkNAT();
-    setInterval(() => {this.checkNAT();}, config.natCheckInterval);
+  /**
+   * Only probe if what we know about our NAT has gone stale.
+   * @param {NATState} natState
+   */
+  initNATType(natState) {
+    this.natState = natState;
+    natState.load().then(() => {
+      if (natState.isFresh()) {
+        console.log("Reusing NAT type: " + natState.natType);
+        this.natCheckTimeoutId = setTimeout(() => {this.checkNAT();}, natState.timeUntilStale());
+      } else {
+        this.checkNAT();
+      }
+    });
   }
 
   tryProbe() {
@@ -118,6 +208,17 @@ class WebExtUI extends UI {
       total: this.stats.reduce((t, c) => t + c, 0),
       enabled: this.enabled,
       missingFeature: this.missingFeature,
+      draining: this.draining ? this.clients : 0,
+      nextStart: this.enabled && !this.isWithinSchedule()
+        ? this.schedule.nextStart().getTime()
+        : null,
+      quota: this.quota && this.quota.usage(),
+      brokerError: this.brokerError && {
+        kind: this.brokerError.kind,
+        message: this.brokerError.message,
+        httpStatus: this.brokerError.httpStatus,
+      },
+      broker: this.activeBrokerUrl,
     });
   }
 
@@ -223,6 +324,13 @@ class WebExtUI extends UI {
 
 WebExtUI.prototype.port = null;
 
+WebExtUI.prototype.natState = null;
+
+WebExtUI.prototype.natCheckTimeoutId = 0;
+
+/** @type {Schedule | null} */
+WebExtUI.prototype.schedule = null;
+
 WebExtUI.prototype.enabled = DEFAULT_ENABLED;
 
 /*
@@ -239,8 +347,14 @@ var
   config,
   /** @type {Broker | null} */
   broker,
+  /** @type {NATState | null} */
+  natState,
+  /** @type {Quota | null} */
+  quota,
   /** @type {UIOfThisContext | null} */
   ui,
+  /** @type {Logger} */
+  logger,
   /** @type {(msg: unknown) => void} */
   log,
   /** @type {(msg: unknown) => void} */
@@ -249,6 +363,8 @@ var
   init,
   /** @type {() => void} */
   update,
+  /** @type {(settings: Object<string, unknown>) => void} */
+  onSettings,
   /** @type {boolean} */
   silenceNotifications;
 
@@ -262,35 +378,73 @@ var
   ui = null;
 
   // Log to both console and UI if applicable.
-  // Requires that the snowflake and UI objects are hooked up in order to
-  // log to console.
-  log = function(msg) {
+  logger = new Logger(function(msg) {
     console.log('Snowflake: ' + msg);
-    if (snowflake != null) {
-      snowflake.ui.log(msg);
+    if (ui != null) {
+      ui.log(msg);
     }
+  }, debug);
+
+  log = function(msg) {
+    logger.log(msg);
   };
 
   dbg = function(msg) {
-    if (debug) {
-      log(msg);
-    }
+    logger.dbg(msg);
   };
 
   init = function() {
     config = new Config("webext");
     ui = new WebExtUI();
-    broker = new Broker(config);
-    snowflake = new Snowflake(config, ui, broker);
+    broker = new Broker(config, null, logger);
+    natState = new NATState(config, {
+      get: () => new Promise(r => chrome.storage.local.get(['natState'], r))
+      .then(result => result.natState),
+      set: state => new Promise(r => chrome.storage.local.set({ natState: state }, r)),
+    }, logger);
+    quota = new Quota(config, {
+      get: () => new Promise(r => chrome.storage.local.get(['quota'], r))
+      .then(result => result.quota),
+      set: usage => new Promise(r => chrome.storage.local.set({ quota: usage }, r)),
+    }, logger);
+    snowflake = new Snowflake(config, ui, broker, logger, natState, quota);
     log('== snowflake proxy ==');
-    ui.initToggle();
-    ui.initNATType();
+    chrome.storage.local.onChanged.addListener((changes) => {
+      if (changes.settings) {
+        onSettings(changes.settings.newValue || {});
+      }
+    });
+    // Don't start polling before knowing how to reach the broker, and how
+    // much of the quota is left.
+    Promise.all([
+      new Promise(r => chrome.storage.local.get({ settings: {} }, r)),
+      quota.load(),
+    ])
+    .then(([{ settings }]) => {
+      onSettings(settings);
+      ui.initToggle();
+    });
+    ui.initNATType(natState);
+  };
+
+  onSettings = function(settings) {
+    applySettings(config, settings);
+    broker.updateRendezvous();
+    snowflake.updateRateLimits();
+    dbg('Reaching the broker: ' + config.rendezvousMethod);
+    const wasWithinSchedule = ui.isWithinSchedule();
+    ui.setSchedule(config.schedule);
+    const quotaRaised = snowflake.state === Snowflake.STATE.OVER_QUOTA && !quota.isExceeded();
+    if (ui.isWithinSchedule() !== wasWithinSchedule || quotaRaised) {
+      update();
+    }
   };
 
   update = function() {
-    if (!ui.enabled) {
+    if (!ui.enabled || !ui.isWithinSchedule()) {
       // Do not activate the proxy if any number of conditions are true.
-      snowflake.disable();
+      // Let the clients we have finish though.
+      snowflake.drain();
       log('Currently not active.');
       return;
     }
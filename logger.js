@@ -0,0 +1,36 @@
+/* exported Logger */
+
+/**
+Where a `Snowflake`, its `Broker` and its `ProxyPair`s write their messages.
+Each proxy gets its own, so that several can run side by side.
+*/
+
+class Logger {
+
+  /**
+   * @param {(msg: unknown) => void} [write] defaults to the console.
+   * @param {boolean} [debug] whether to write `dbg` messages too.
+   */
+  constructor(write, debug) {
+    this.write = write || (msg => console.log('Snowflake: ' + msg));
+    this.debug = !!debug;
+  }
+
+  /**
+   * @param {unknown} msg
+   */
+  log(msg) {
+    this.write(msg);
+  }
+
+  /**
+   * Only written in debug mode.
+   * @param {unknown} msg
+   */
+  dbg(msg) {
+    if (this.debug) {
+      this.write(msg);
+    }
+  }
+
+}
@@ -46,9 +46,23 @@ var domino = require('domino');
 // All files required.
 var FILES = [
   'broker.js',
+  'bytequeue.js',
+  'clock.js',
   'config.js',
+  'events.js',
+  'fairratelimit.js',
+  'logger.js',
+  'nat.js',
+  'pollstrategy.js',
+  'protocol.js',
   'proxypair.js',
+  'quota.js',
+  'relaypattern.js',
+  'rendezvous.js',
+  'retry.js',
+  'schedule.js',
   'snowflake.js',
+  'transport.js',
   'ui.js',
   'util.js',
   'websocket.js',
@@ -57,9 +71,22 @@ var FILES = [
 
 var FILES_SPEC = [
   'spec/broker.spec.js',
+  'spec/bytequeue.spec.js',
+  'spec/clock.spec.js',
+  'spec/events.spec.js',
+  'spec/fairratelimit.spec.js',
   'spec/init.spec.js',
+  'spec/nat.spec.js',
+  'spec/pollstrategy.spec.js',
+  'spec/protocol.spec.js',
   'spec/proxypair.spec.js',
+  'spec/quota.spec.js',
+  'spec/relaypattern.spec.js',
+  'spec/rendezvous.spec.js',
+  'spec/retry.spec.js',
+  'spec/schedule.spec.js',
   'spec/snowflake.spec.js',
+  'spec/transport.spec.js',
   'spec/ui.spec.js',
   'spec/util.spec.js',
   'spec/websocket.spec.js'
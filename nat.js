@@ -0,0 +1,176 @@
+/* global Logger */
+/* exported NATState */
+
+/**
+What we know about our own NAT.
+
+The probe service tells us whether we're behind a restricted NAT. On top of
+that, if we keep failing to connect to clients that are behind a restricted
+NAT themselves, we learn that ours is restricted too, whatever the probe said.
+All of this is kept in a store so that it survives restarts.
+*/
+
+class NATState {
+
+  /**
+   * @param {Config} config
+   * @param {NATStateStore} [store] without one, nothing is persisted.
+   * @param {Logger} [logger]
+   */
+  constructor(config, store, logger) {
+    this.config = config;
+    this.store = store || null;
+    this.logger = logger || new Logger();
+    /**
+     * The latest result of the probe test.
+     * @type {string}
+     */
+    this.probeResult = "unknown";
+    /**
+     * How our NAT maps ports, one of `Util.NAT_MAPPING`.
+     * @type {string}
+     */
+    this.mapping = "unknown";
+    // Whether we've since learned that our NAT is restricted.
+    this.downgraded = false;
+    // Consecutive failures to connect to restricted clients.
+    this.failures = 0;
+    /**
+     * When the probe test last gave a result.
+     * @type {number | null}
+     */
+    this.lastCheck = null;
+  }
+
+  /**
+   * @returns {"unknown" | "restricted" | "unrestricted"}
+   */
+  get natType() {
+    return this.downgraded ? "restricted" : this.probeResult;
+  }
+
+  /**
+   * Restore what was stored earlier, if anything. What can't be read, or
+   * doesn't look like what `save` writes, is left at its default.
+   * @returns {Promise<void>} never rejects.
+   */
+  load() {
+    if (!this.store) {
+      return Promise.resolve();
+    }
+    return this.store.get().then((saved) => {
+      if (!saved || 'object' !== typeof saved) {
+        return;
+      }
+      // A probe result only counts along with when we got it.
+      if (NATState.PROBE_RESULTS.includes(saved.probeResult)
+        && Number.isFinite(saved.lastCheck)) {
+        this.probeResult = saved.probeResult;
+        this.lastCheck = saved.lastCheck;
+        if ('string' === typeof saved.mapping) {
+          this.mapping = saved.mapping;
+        }
+      }
+      if ('boolean' === typeof saved.downgraded) {
+        this.downgraded = saved.downgraded;
+      }
+      if (Number.isInteger(saved.failures) && saved.failures >= 0) {
+        this.failures = saved.failures;
+      }
+    })
+    .catch((e) => {
+      this.logger.log('Failed to load the NAT state: ' + e);
+    });
+  }
+
+  /**
+   * @returns {boolean} whether the probe result is recent enough to go by,
+   * see `config.natCheckInterval`.
+   */
+  isFresh() {
+    return this.timeUntilStale() > 0;
+  }
+
+  /**
+   * @returns {number} milliseconds until we should probe again.
+   */
+  timeUntilStale() {
+    if (null === this.lastCheck) {
+      return 0;
+    }
+    return Math.max(0, this.lastCheck + this.config.natCheckInterval - this.config.clock.now());
+  }
+
+  /**
+   * A new probe result replaces what we've learned so far.
+   * @param {"restricted" | "unrestricted"} natType
+   * @param {string} [mapping] one of `Util.NAT_MAPPING`
+   */
+  setProbeResult(natType, mapping) {
+    this.probeResult = natType;
+    this.mapping = mapping || "unknown";
+    this.downgraded = false;
+    this.failures = 0;
+    this.lastCheck = this.config.clock.now();
+    this.save();
+  }
+
+  /**
+   * A matched client opened its data channel in time.
+   */
+  onConnected() {
+    if (this.failures > 0) {
+      this.failures = 0;
+      this.save();
+    }
+  }
+
+  /**
+   * A matched client didn't manage to open its data channel.
+   * @param {string} clientNAT as reported by the broker.
+   * @returns {boolean} whether we've just learned that our NAT is restricted.
+   */
+  onFailedToConnect(clientNAT) {
+    if (clientNAT != "restricted") {
+      return false;
+    }
+    this.failures++;
+    // if we fail to connect to a restricted client 3 times in
+    // a row, assume we have a restricted NAT
+    const learned = this.failures >= NATState.MAX_FAILURES;
+    if (learned) {
+      this.downgraded = true;
+      this.failures = 0;
+    }
+    this.save();
+    return learned;
+  }
+
+  /** @private */
+  save() {
+    if (!this.store) {
+      return;
+    }
+    this.store.set({
+      probeResult: this.probeResult,
+      mapping: this.mapping,
+      downgraded: this.downgraded,
+      failures: this.failures,
+      lastCheck: this.lastCheck,
+    })
+    .catch((e) => {
+      this.logger.log('Failed to store the NAT state: ' + e);
+    });
+  }
+
+}
+
+NATState.MAX_FAILURES = 3;
+
+NATState.PROBE_RESULTS = ["unknown", "restricted", "unrestricted"];
+
+/**
+ * @typedef {Object} NATStateStore
+ * @property {() => Promise<Object | undefined>} get
+ * @property {(state: Object) => Promise<void>} set
+ */
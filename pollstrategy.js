@@ -0,0 +1,172 @@
+/* exported PollStrategy, AdaptivePollStrategy, FixedPollStrategy, AimdPollStrategy */
+
+/**
+How long to wait between broker polls.
+
+A strategy learns from whether the clients the broker matched us with managed
+to connect. Polls that didn't get a client at all don't count either way.
+Broker failures are dealt with separately, by `RetryPolicy`.
+*/
+
+class PollStrategy {
+
+  /**
+   * @param {Config} config
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * @returns {number} milliseconds until the next poll.
+   */
+  get interval() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * A matched client opened its data channel in time. Callers pass our NAT
+   * type, as far as we know, for the strategies that go by it.
+   */
+  onConnected() {}
+
+  /**
+   * A matched client didn't manage to open its data channel. Callers pass
+   * our NAT type, as far as we know, for the strategies that go by it.
+   */
+  onFailedToConnect() {}
+
+  /**
+   * @param {Config} config
+   * @returns {PollStrategy}
+   */
+  static fromConfig(config) {
+    switch (config.pollStrategy) {
+      case PollStrategy.KIND.ADAPTIVE:
+        return new AdaptivePollStrategy(config);
+      case PollStrategy.KIND.FIXED:
+        return new FixedPollStrategy(config);
+      case PollStrategy.KIND.AIMD:
+        return new AimdPollStrategy(config);
+      default:
+        throw new Error('Unknown poll strategy: ' + config.pollStrategy);
+    }
+  }
+
+}
+
+PollStrategy.KIND = {
+  ADAPTIVE: 'adaptive',
+  FIXED: 'fixed',
+  AIMD: 'aimd'
+};
+
+
+/**
+ * Slow down by `pollAdjustment` on every failure and speed up by as much on
+ * every success. A proxy without a restricted NAT goes straight to
+ * `fastBrokerPollInterval` on success.
+ */
+class AdaptivePollStrategy extends PollStrategy {
+
+  constructor(config) {
+    super(config);
+    this.current = config.defaultBrokerPollInterval;
+  }
+
+  get interval() {
+    return this.current;
+  }
+
+  onConnected(natType) {
+    if (natType == "unrestricted") {
+      this.current = this.config.fastBrokerPollInterval;
+      return;
+    }
+    this.current = Math.max(this.current - this.config.pollAdjustment,
+      this.config.defaultBrokerPollInterval);
+  }
+
+  onFailedToConnect() {
+    this.current = Math.min(this.current + this.config.pollAdjustment,
+      this.config.slowestBrokerPollInterval);
+  }
+
+}
+
+
+/** Always `defaultBrokerPollInterval`. */
+class FixedPollStrategy extends PollStrategy {
+
+  get interval() {
+    return this.config.defaultBrokerPollInterval;
+  }
+
+}
+
+
+/**
+ * Additive increase, multiplicative decrease of the poll rate, driven by the
+ * share of clients that connected within the last `pollSuccessWindow`.
+ * While that share is at least `pollSuccessTarget` we poll a bit
+ * (`pollAdjustment`) sooner after every result, otherwise the interval
+ * doubles, between `fastBrokerPollInterval` and `slowestBrokerPollInterval`.
+ */
+class AimdPollStrategy extends PollStrategy {
+
+  constructor(config) {
+    super(config);
+    this.current = config.defaultBrokerPollInterval;
+    /**
+     * Oldest first.
+     * @type {{ time: number, connected: boolean }[]}
+     * @private
+     */
+    this.results = [];
+  }
+
+  get interval() {
+    return this.current;
+  }
+
+  /**
+   * @returns {number} between 0 and 1, or `NaN` without recent results.
+   */
+  get successRate() {
+    this.forgetOldResults();
+    const connected = this.results.filter(r => r.connected).length;
+    return connected / this.results.length;
+  }
+
+  onConnected() {
+    this.addResult(true);
+  }
+
+  onFailedToConnect() {
+    this.addResult(false);
+  }
+
+  /**
+   * @param {boolean} connected
+   * @private
+   */
+  addResult(connected) {
+    this.results.push({ time: this.config.clock.now(), connected: connected });
+    if (this.successRate >= this.config.pollSuccessTarget) {
+      this.current = Math.max(this.current - this.config.pollAdjustment,
+        this.config.fastBrokerPollInterval);
+    } else {
+      this.current = Math.min(this.current * 2,
+        this.config.slowestBrokerPollInterval);
+    }
+  }
+
+  /** @private */
+  forgetOldResults() {
+    const since = this.config.clock.now() - this.config.pollSuccessWindow;
+    while (this.results.length > 0 && this.results[0].time < since) {
+      this.results.shift();
+    }
+  }
+
+}
@@ -0,0 +1,140 @@
+/* global Broker, BrokerError, Config */
+/* exported Protocol, ProtocolError */
+
+/**
+Messages of the proxy poll protocol, and their validation.
+
+Different brokers speak different versions of the protocol, so every version
+we support has an explicit list of what goes into a poll request and what
+may come back in the response.
+*/
+
+class Protocol {
+
+  /**
+   * @param {string} version one of `Protocol.POLL_VERSIONS`
+   * @param {Object<string, unknown>} fields values for (at least) every field
+   * this version of the request has.
+   * @returns {string}
+   */
+  static encodePollRequest(version, fields) {
+    const spec = Protocol.getPollSpec(version);
+    const data = { Version: version };
+    for (const name of spec.request) {
+      data[name] = fields[name];
+    }
+    return JSON.stringify(data);
+  }
+
+  /**
+   * @param {string} version of the request that this is the response to.
+   * @param {string} body
+   * @returns {{ response: Object<string, unknown>, unknownFields: string[] }}
+   * the whole response, including any fields unknown to this version.
+   * @throws {ProtocolError} if the response doesn't match the schema.
+   */
+  static decodePollResponse(version, body) {
+    const schema = Protocol.getPollSpec(version).response;
+    let response;
+    try {
+      response = JSON.parse(body);
+    } catch (e) {
+      throw new ProtocolError('not valid JSON: ' + e.message);
+    }
+    if (null === response || 'object' !== typeof response || Array.isArray(response)) {
+      throw new ProtocolError('not an object');
+    }
+    for (const [name, field] of Object.entries(schema)) {
+      const value = response[name];
+      if (undefined === value) {
+        if (
+          'always' === field.required
+          || ('match' === field.required && Broker.STATUS.MATCH === response.Status)
+        ) {
+          throw new ProtocolError('missing field', name);
+        }
+        continue;
+      }
+      if (field.type !== typeof value) {
+        throw new ProtocolError('expected a ' + field.type, name);
+      }
+    }
+    const unknownFields = Object.keys(response).filter(name => !(name in schema));
+    return { response, unknownFields };
+  }
+
+  /**
+   * @param {string} version
+   * @private
+   */
+  static getPollSpec(version) {
+    const spec = Protocol.POLL[version];
+    if (undefined === spec) {
+      throw new Error('Unsupported poll protocol version: ' + version);
+    }
+    return spec;
+  }
+
+}
+
+/**
+ * @typedef {Object} FieldSchema
+ * @property {string} type as in `typeof`
+ * @property {'always' | 'match'} [required] 'match' means only when `Status`
+ * is `Broker.STATUS.MATCH`.
+ */
+
+/**
+ * Every version adds to the previous one.
+ * @type {Object<string, { request: string[], response: Object<string, FieldSchema> }>}
+ */
+Protocol.POLL = {};
+Protocol.POLL['1.0'] = {
+  request: ['Sid', 'Type'],
+  response: {
+    Status: { type: 'string', required: 'always' },
+    Offer: { type: 'string', required: 'match' },
+  },
+};
+Protocol.POLL['1.1'] = {
+  request: Protocol.POLL['1.0'].request.concat('NAT'),
+  response: Object.assign({}, Protocol.POLL['1.0'].response, {
+    NAT: { type: 'string' },
+  }),
+};
+Protocol.POLL['1.2'] = {
+  request: Protocol.POLL['1.1'].request.concat('Clients'),
+  response: Protocol.POLL['1.1'].response,
+};
+Protocol.POLL['1.3'] = {
+  request: Protocol.POLL['1.2'].request.concat('AcceptedRelayPattern'),
+  response: Object.assign({}, Protocol.POLL['1.2'].response, {
+    RelayURL: { type: 'string' },
+  }),
+};
+
+// Newest first.
+Protocol.POLL_VERSIONS = ['1.3', '1.2', '1.1', '1.0'];
+
+Config.prototype.pollProtocolVersions = Protocol.POLL_VERSIONS;
+
+
+/** A broker response that doesn't match the protocol. */
+class ProtocolError extends BrokerError {
+
+  /**
+   * @param {string} reason
+   * @param {string} [field] the offending one, if any.
+   */
+  constructor(reason, field) {
+    super(BrokerError.KIND.MALFORMED, Broker.MESSAGE.MALFORMED);
+    this.name = 'ProtocolError';
+    this.reason = reason;
+    this.field = field;
+  }
+
+  toString() {
+    return this.name + ': ' + (this.field ? this.field + ': ' : '') + this.reason;
+  }
+
+}
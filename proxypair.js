@@ -1,4 +1,4 @@
-/* global snowflake, log, dbg, debug, Util, Parse, WS */
+/* global Util, Parse, WS, EventEmitter, Logger, ByteQueue */
 
 /**
 Represents a single:
@@ -7,30 +7,91 @@ Represents a single:
 
 Every ProxyPair has a Snowflake ID, which is necessary when responding to the
 Broker with an WebRTC answer.
+
+It goes through the `ProxyPair.STATE`s in order, skipping ahead only as
+`ProxyPair.TRANSITIONS` allow. What happens to the pair is announced as one of
+`ProxyPair.EVENT`.
 */
 
-class ProxyPair {
+class ProxyPair extends EventEmitter {
 
   /**
-   * @param {DummyRateLimit | BucketRateLimit} rateLimit specifies a rate limit on traffic
+   * @param {Object<string, DummyRateLimit | BucketRateLimit | FairShare>} rateLimits
+   * specifies a rate limit on traffic for each of `ProxyPair.DIRECTION`. Both
+   * may be the same one.
    * @param {Config} config
+   * @param {Logger} [logger]
    */
-  constructor(rateLimit, config) {
+  constructor(rateLimits, config, logger) {
+    super();
     this.prepareDataChannel = this.prepareDataChannel.bind(this);
     this.connectRelay = this.connectRelay.bind(this);
     this.onClientToRelayMessage = this.onClientToRelayMessage.bind(this);
     this.onRelayToClientMessage = this.onRelayToClientMessage.bind(this);
     this.onError = this.onError.bind(this);
+    this.onConnectionStateChange = this.onConnectionStateChange.bind(this);
+    this.onIceConnectionStateChange = this.onIceConnectionStateChange.bind(this);
     this.flush = this.flush.bind(this);
+    this.onRelayDrainCheck = this.onRelayDrainCheck.bind(this);
+    this.onRelaySent = this.onRelaySent.bind(this);
 
     /** @type {string | URL} */
     this.relayURL = config.defaultRelayAddr;
-    this.rateLimit = rateLimit;
+    this.rateLimits = rateLimits;
     this.config = config;
+    this.clock = config.clock;
+    this.logger = logger || new Logger();
     this.id = Util.genSnowflakeID();
-    this.c2rSchedule = [];
-    this.r2cSchedule = [];
+    // What's waiting to be passed on, in each direction.
+    this.c2rSchedule = new ByteQueue();
+    this.r2cSchedule = new ByteQueue();
+    /**
+     * Whether we've stopped reading the data for each of
+     * `ProxyPair.DIRECTION`, see `updateReading`.
+     * @type {Object<string, boolean>}
+     */
+    this.readingPaused = {
+      [ProxyPair.DIRECTION.CLIENT_TO_RELAY]: false,
+      [ProxyPair.DIRECTION.RELAY_TO_CLIENT]: false,
+    };
+    /** @type {string} one of `ProxyPair.STATE`. */
+    this.state = ProxyPair.STATE.CREATED;
     this.nowConnected = false;
+    // Whether this pair has served a client at all.
+    this.wasConnected = false;
+    /**
+     * Bytes passed on in each of `ProxyPair.DIRECTION`.
+     * @type {Object<string, number>}
+     */
+    this.bytes = {
+      [ProxyPair.DIRECTION.CLIENT_TO_RELAY]: 0,
+      [ProxyPair.DIRECTION.RELAY_TO_CLIENT]: 0,
+    };
+    /**
+     * Messages passed on in each of `ProxyPair.DIRECTION`.
+     * @type {Object<string, number>}
+     */
+    this.messages = {
+      [ProxyPair.DIRECTION.CLIENT_TO_RELAY]: 0,
+      [ProxyPair.DIRECTION.RELAY_TO_CLIENT]: 0,
+    };
+    /**
+     * When things happened, as in `clock.now()`, see `summary`.
+     * @type {Object<string, number | null>}
+     */
+    this.times = {
+      created: this.clock.now(),
+      offer: null,
+      answer: null,
+      channelOpen: null,
+      relayOpen: null,
+      closed: null,
+    };
+    /**
+     * What the peer connection went through, oldest first.
+     * @type {ConnectionStateChange[]}
+     */
+    this.connectionStates = [];
   }
 
   /** Prepare a WebRTC PeerConnection and await for an SDP offer. */
@@ -39,51 +100,112 @@ class ProxyPair {
     this.pc = new RTCPeerConnection(this.config.pcConfig);
     // OnDataChannel triggered remotely from the client when connection succeeds.
     this.pc.ondatachannel = ({ channel }) => {
-      dbg('Data Channel established...');
+      this.logger.dbg('Data Channel established...');
       this.prepareDataChannel(channel);
       /** @private */
       this.client = channel;
     };
+    this.pc.onconnectionstatechange = this.onConnectionStateChange;
+    this.pc.oniceconnectionstatechange = this.onIceConnectionStateChange;
+  }
+
+  /** @private */
+  onConnectionStateChange() {
+    this.onPeerStateChange('connection', this.pc.connectionState);
+  }
+
+  /** @private */
+  onIceConnectionStateChange() {
+    this.onPeerStateChange('ice', this.pc.iceConnectionState);
+  }
+
+  /**
+   * Close right away once the connection to the client has failed. If it's
+   * only disconnected, give it `disconnectGracePeriod` to come back.
+   * @param {string} type 'connection' or 'ice', which state changed.
+   * @param {string} state
+   * @private
+   */
+  onPeerStateChange(type, state) {
+    if (this.closed) {
+      return;
+    }
+    this.connectionStates.push({ type: type, state: state, time: this.clock.now() });
+    switch (state) {
+      case 'failed':
+        this.logger.log('WebRTC connection failed.');
+        this.close(ProxyPair.CLOSE_REASON.CONNECTION_FAILED);
+        break;
+      case 'disconnected':
+        if (!this.disconnectTimeoutId) {
+          this.disconnectTimeoutId = this.clock.setTimeout(() => {
+            this.logger.log('WebRTC connection lost.');
+            this.close(ProxyPair.CLOSE_REASON.DISCONNECTED);
+          }, this.config.disconnectGracePeriod);
+        }
+        break;
+      case 'connected':
+      case 'completed':
+        this.clock.clearTimeout(this.disconnectTimeoutId);
+        this.disconnectTimeoutId = 0;
+        break;
+    }
   }
 
   /**
    * @param {RTCSessionDescription} offer
-   * @param {(answer: RTCSessionDescription) => void} sendAnswer
+   * @param {(answer: RTCSessionDescription) => Promise<void> | void} sendAnswer
+   * if the promise it returns rejects, the pair gets closed right away.
    * @returns {boolean} `true` on success, `false` on fail.
    */
   receiveWebRTCOffer(offer, sendAnswer) {
     if ('offer' !== offer.type) {
-      log('Invalid SDP received -- was not an offer.');
+      this.logger.log('Invalid SDP received -- was not an offer.');
       return false;
     }
     try {
       this.pc.setRemoteDescription(offer);
     } catch (error) {
-      log('Invalid SDP message.');
+      this.logger.log('Invalid SDP message.');
       return false;
     }
-    dbg('SDP ' + offer.type + ' successfully received.');
+    this.logger.dbg('SDP ' + offer.type + ' successfully received.');
+    this.setState(ProxyPair.STATE.OFFER_RECEIVED);
+    this.times.offer = this.clock.now();
+    this.emit(ProxyPair.EVENT.OFFER);
 
     this.pc.createAnswer()
     .then((sdp) => {
-      dbg('webrtc: Answer ready.');
+      this.logger.dbg('webrtc: Answer ready.');
       return this.pc.setLocalDescription(sdp);
     })
     .catch(() => {
-      this.close();
-      dbg('webrtc: Failed to create or set Answer');
+      this.close(ProxyPair.CLOSE_REASON.ANSWER_FAILED);
+      this.logger.dbg('webrtc: Failed to create or set Answer');
     });
 
     // Send the answer when ready.
     const onceSendAnswer = () => {
-      sendAnswer(this.pc.localDescription);
+      this.setState(ProxyPair.STATE.ANSWERING);
+      Promise.resolve(sendAnswer(this.pc.localDescription))
+      .then(() => {
+        // The client may have been quicker than the broker.
+        if (ProxyPair.STATE.ANSWERING === this.state) {
+          this.setState(ProxyPair.STATE.AWAITING_CHANNEL);
+        }
+        this.times.answer = this.clock.now();
+        this.emit(ProxyPair.EVENT.ANSWER);
+      }, (err) => {
+        this.logger.log('Failed to deliver the answer: ' + err);
+        this.close(ProxyPair.CLOSE_REASON.ANSWER_UNDELIVERED);
+      });
 
       this.pc.onicegatheringstatechange = null;
-      clearTimeout(this.answerTimeoutId);
+      this.clock.clearTimeout(this.answerTimeoutId);
     };
     this.pc.onicegatheringstatechange = () => {
       if (this.pc.iceGatheringState === 'complete' && this.pc.connectionState !== 'closed') {
-        dbg('Finished gathering ICE candidates.');
+        this.logger.dbg('Finished gathering ICE candidates.');
         onceSendAnswer();
       }
     };
@@ -92,8 +214,8 @@ class ProxyPair {
       // but let's play it safe.
       onceSendAnswer();
     } else {
-      this.answerTimeoutId = setTimeout(() => {
-        dbg('answerTimeout');
+      this.answerTimeoutId = this.clock.setTimeout(() => {
+        this.logger.dbg('answerTimeout');
         // ICE gathering is taking a while to complete - send what we got so far.
         if (!this.pc.localDescription) {
           // We don't have anything to send yet. Sigh. The client will probably timeout waiting
@@ -115,20 +237,23 @@ class ProxyPair {
    */
   prepareDataChannel(channel) {
     channel.onopen = () => {
-      log('WebRTC DataChannel opened!');
-      snowflake.ui.increaseClients();
+      this.logger.log('WebRTC DataChannel opened!');
+      this.setState(ProxyPair.STATE.RELAYING);
       this.nowConnected = true;
+      this.wasConnected = true;
+      this.times.channelOpen = this.clock.now();
+      this.emit(ProxyPair.EVENT.CHANNEL_OPEN);
 
       // if we don't receive any keep-alive messages from the client, close the
       // connection
       const onStaleTimeout = () => {
-        console.log("Closing stale connection.");
+        this.logger.log('Closing stale connection.');
         this.flush();
-        this.close();
+        this.close(ProxyPair.CLOSE_REASON.STALE);
       };
       this.refreshStaleTimeout = () => {
-        clearTimeout(this.messageTimer);
-        this.messageTimer = setTimeout(onStaleTimeout, this.config.messageTimeout);
+        this.clock.clearTimeout(this.messageTimer);
+        this.messageTimer = this.clock.setTimeout(onStaleTimeout, this.config.messageTimeout);
       };
       this.refreshStaleTimeout();
 
@@ -137,20 +262,18 @@ class ProxyPair {
       this.connectRelay();
     };
     channel.onclose = () => {
-      log('WebRTC DataChannel closed.');
-      snowflake.ui.setStatus('disconnected by webrtc.');
-      if (this.nowConnected) {
-        snowflake.ui.decreaseClients();
-        this.nowConnected = false;
-      }
+      this.logger.log('WebRTC DataChannel closed.');
       this.flush();
-      this.close();
+      this.close(ProxyPair.CLOSE_REASON.CLIENT_CLOSED);
     };
-    channel.onerror = function () {
-      log('Data channel error!');
+    channel.onerror = () => {
+      this.logger.log('Data channel error!');
     };
     channel.binaryType = "arraybuffer";
     channel.onmessage = this.onClientToRelayMessage;
+    // Once the client has taken enough of what we sent, send more.
+    channel.bufferedAmountLowThreshold = this.BUFFER_LOW;
+    channel.onbufferedamountlow = this.flush;
   }
 
   /**
@@ -158,7 +281,7 @@ class ProxyPair {
    * @private
    */
   connectRelay() {
-    dbg('Connecting to relay...');
+    this.logger.dbg('Connecting to relay...');
     // Get a remote IP address from the PeerConnection, if possible. Add it to
     // the WebSocket URL's query string if available.
     // MDN marks remoteDescription as "experimental". However the other two
@@ -175,26 +298,24 @@ class ProxyPair {
     const relay = this.relay = WS.makeWebsocket(this.relayURL, params);
     relay.label = 'websocket-relay';
     relay.onopen = () => {
-      clearTimeout(this.connectToRelayTimeoutId);
-      log(relay.label + ' connected!');
-      snowflake.ui.setStatus('connected');
+      this.clock.clearTimeout(this.connectToRelayTimeoutId);
+      this.logger.log(relay.label + ' connected!');
+      this.times.relayOpen = this.clock.now();
+      this.emit(ProxyPair.EVENT.RELAY_OPEN);
+      // Pass on what the client sent while we were connecting.
+      this.flush();
     };
     relay.onclose = () => {
-      log(relay.label + ' closed.');
-      snowflake.ui.setStatus('disconnected.');
-      if (this.nowConnected) {
-        snowflake.ui.decreaseClients();
-        this.nowConnected = false;
-      }
+      this.logger.log(relay.label + ' closed.');
       this.flush();
-      this.close();
+      this.close(ProxyPair.CLOSE_REASON.RELAY_CLOSED);
     };
     relay.onerror = this.onError;
     relay.onmessage = this.onRelayToClientMessage;
     // TODO: Better websocket timeout handling.
-    this.connectToRelayTimeoutId = setTimeout((() => {
-      log(relay.label + ' timed out connecting.');
-      relay.onclose();
+    this.connectToRelayTimeoutId = this.clock.setTimeout((() => {
+      this.logger.log(relay.label + ' timed out connecting.');
+      this.close(ProxyPair.CLOSE_REASON.RELAY_TIMEOUT);
     }), 5000);
   }
 
@@ -205,7 +326,9 @@ class ProxyPair {
    */
   onClientToRelayMessage(msg) {
     this.c2rSchedule.push(msg.data);
-    this.flush();
+    if (!this.takeIn(ProxyPair.DIRECTION.CLIENT_TO_RELAY)) {
+      return;
+    }
 
     this.refreshStaleTimeout();
   }
@@ -217,19 +340,99 @@ class ProxyPair {
    */
   onRelayToClientMessage(event) {
     this.r2cSchedule.push(event.data);
-    this.flush();
+    this.takeIn(ProxyPair.DIRECTION.RELAY_TO_CLIENT);
+  }
+
+  /**
+   * Deal with a message just queued for `direction`. While reading is paused
+   * (see `updateReading`) there's no point in trying to send it, that
+   * happens once the other side has drained.
+   *
+   * A source that can't be paused may keep sending regardless. For those,
+   * twice `MAX_QUEUE` is a hard cap: the pair gets closed once that much is
+   * waiting.
+   * @param {string} direction one of `ProxyPair.DIRECTION`.
+   * @returns {boolean} `false` if the pair got closed.
+   * @private
+   */
+  takeIn(direction) {
+    if (!this.readingPaused[direction]) {
+      this.flush();
+    } else if (!this.pausableSource(direction)
+      && this.scheduleFor(direction).bytes > 2 * this.MAX_QUEUE) {
+      this.logger.log('Too much data waiting to be passed on, closing.');
+      this.close(ProxyPair.CLOSE_REASON.QUEUE_FULL);
+      return false;
+    }
+    this.announceQueued();
+    return true;
+  }
+
+  /**
+   * @param {string} direction one of `ProxyPair.DIRECTION`.
+   * @returns {{ pause: () => void, resume: () => void } | null} what the
+   * data for `direction` is read from, if it can be paused. Only the relay's
+   * WebSocket can, and only in Node, see `WS.pausableSocket`.
+   * @private
+   */
+  pausableSource(direction) {
+    if (ProxyPair.DIRECTION.RELAY_TO_CLIENT !== direction || !this.relay) {
+      return null;
+    }
+    return WS.pausableSocket(this.relay);
+  }
+
+  /**
+   * @param {string} direction one of `ProxyPair.DIRECTION`.
+   * @returns {ByteQueue}
+   * @private
+   */
+  scheduleFor(direction) {
+    return ProxyPair.DIRECTION.CLIENT_TO_RELAY === direction ? this.c2rSchedule : this.r2cSchedule;
+  }
+
+  /**
+   * @returns {number} bytes waiting to be passed on, in both directions.
+   */
+  queuedBytes() {
+    return this.c2rSchedule.bytes + this.r2cSchedule.bytes;
+  }
+
+  /**
+   * Let whoever keeps an eye on memory use know if there's data we couldn't
+   * pass on right away.
+   * @private
+   */
+  announceQueued() {
+    const queued = this.queuedBytes();
+    if (queued > 0) {
+      this.emit(ProxyPair.EVENT.QUEUED, queued);
+    }
   }
 
   /** @private */
   onError(event) {
     const ws = event.target;
-    log(ws.label + ' error.');
-    this.close();
+    this.logger.log(ws.label + ' error.');
+    this.close(ProxyPair.CLOSE_REASON.RELAY_ERROR);
   }
 
-  /** Close both WebRTC and websocket. */
-  close() {
-    if (debug) {
+  /**
+   * Close both WebRTC and websocket.
+   * Only the first call has any effect.
+   * @param {string} [reason] one of `ProxyPair.CLOSE_REASON`, if known.
+   */
+  close(reason) {
+    if (this.closed) {
+      return;
+    }
+    this.setState(ProxyPair.STATE.CLOSING);
+    this.nowConnected = false;
+    this.times.closed = this.clock.now();
+    if (reason) {
+      this.closeReason = reason;
+    }
+    if (this.logger.debug) {
       this.pc.getStats().then(report => {
         let transportStats;
         for (const stat of report.values()) {
@@ -245,7 +448,7 @@ class ProxyPair {
         function bytesToMBytesStr(numBytes) {
           return (numBytes / 1024 / 1024).toFixed(3);
         }
-        log(
+        this.logger.log(
           `Connection closed. Traffic (up|down):`
           + ` ${bytesToMBytesStr(transportStats.bytesReceived)} MB|`
           + `${bytesToMBytesStr(transportStats.bytesSent)} MB`
@@ -255,9 +458,14 @@ class ProxyPair {
       });
     }
 
-    clearTimeout(this.connectToRelayTimeoutId);
-    clearTimeout(this.messageTimer);
-    clearTimeout(this.answerTimeoutId);
+    this.clock.clearTimeout(this.connectToRelayTimeoutId);
+    this.clock.clearTimeout(this.messageTimer);
+    this.clock.clearTimeout(this.answerTimeoutId);
+    this.clock.clearTimeout(this.flush_timeout_id);
+    this.clock.clearTimeout(this.relayDrainTimeoutId);
+    this.clock.clearTimeout(this.disconnectTimeoutId);
+    this.c2rSchedule.clear();
+    this.r2cSchedule.clear();
     if (this.webrtcIsReady()) {
       this.client.close();
     }
@@ -267,39 +475,204 @@ class ProxyPair {
     if (this.relayIsReady()) {
       this.relay.close();
     }
-    this.onCleanup();
+    this.setState(ProxyPair.STATE.CLOSED);
+    this.emit(ProxyPair.EVENT.CLOSE, this.closeReason, this.summary());
+  }
+
+  /**
+   * @returns {boolean} whether `close` has been called.
+   */
+  get closed() {
+    return ProxyPair.STATE.CLOSING === this.state || ProxyPair.STATE.CLOSED === this.state;
+  }
+
+  /**
+   * Move on to `state`, if `ProxyPair.TRANSITIONS` allow it.
+   * @param {string} state one of `ProxyPair.STATE`.
+   * @returns {boolean} whether it did.
+   * @private
+   */
+  setState(state) {
+    if (!ProxyPair.TRANSITIONS[this.state].includes(state)) {
+      this.logger.dbg('Ignoring unexpected change of state: ' + this.state + ' -> ' + state);
+      return false;
+    }
+    this.state = state;
+    return true;
+  }
+
+  /**
+   * @returns {ProxyPairSummary} what this pair has done so far.
+   */
+  summary() {
+    const t = this.times;
+    const since = (from, to) => (null === from || null === to ? null : to - from);
+    const C2R = ProxyPair.DIRECTION.CLIENT_TO_RELAY;
+    const R2C = ProxyPair.DIRECTION.RELAY_TO_CLIENT;
+    return {
+      id: this.id,
+      relayURL: String(this.relayURL),
+      closeReason: this.closeReason,
+      connected: this.wasConnected,
+      clientToRelayBytes: this.bytes[C2R],
+      relayToClientBytes: this.bytes[R2C],
+      clientToRelayMessages: this.messages[C2R],
+      relayToClientMessages: this.messages[R2C],
+      timeToAnswer: since(t.offer, t.answer),
+      timeToChannelOpen: since(t.offer, t.channelOpen),
+      timeToRelayOpen: since(t.channelOpen, t.relayOpen),
+      lifetime: since(t.created, null === t.closed ? this.clock.now() : t.closed),
+      closedAt: t.closed,
+      connectionStates: this.connectionStates.slice(),
+    };
   }
 
   /**
-   * Send as much data in both directions as the rate limit currently allows.
+   * Send as much data in both directions as the rate limits and the send
+   * buffers currently allow.
+   *
+   * Data held back by a rate limit gets sent once it expires. Data held back
+   * because a send buffer is over `MAX_BUFFER` gets sent once that's down to
+   * `BUFFER_LOW`: the data channel tells us with `onbufferedamountlow`, the
+   * relay's WebSocket when a message it sent has gone out, see
+   * `WS.reportsSends`. Browsers' WebSockets don't tell us either way, so
+   * there we check on it every `RELAY_DRAIN_INTERVAL`.
    * @private
    */
   flush() {
+    const C2R = ProxyPair.DIRECTION.CLIENT_TO_RELAY;
+    const R2C = ProxyPair.DIRECTION.RELAY_TO_CLIENT;
+    const c2rLimit = this.rateLimits[C2R];
+    const r2cLimit = this.rateLimits[R2C];
     let busy = true;
-    while (busy && !this.rateLimit.isLimited()) {
+    while (busy) {
       busy = false;
       // WebRTC --> websocket
-      if (this.c2rSchedule.length > 0 && this.relayIsReady() && this.relay.bufferedAmount < this.MAX_BUFFER) {
+      if (this.c2rSchedule.length > 0 && this.relayIsReady() && this.relay.bufferedAmount < this.MAX_BUFFER && !c2rLimit.isLimited()) {
         const chunk = this.c2rSchedule.shift();
-        this.relay.send(chunk);
-        this.rateLimit.update(chunk.byteLength);
+        if (WS.reportsSends(this.relay)) {
+          this.relay.send(chunk, this.onRelaySent);
+        } else {
+          this.relay.send(chunk);
+        }
+        c2rLimit.update(chunk.byteLength);
+        this.bytes[C2R] += chunk.byteLength;
+        this.messages[C2R]++;
+        this.emit(ProxyPair.EVENT.BYTES, chunk.byteLength, C2R);
         busy = true;
       }
       // websocket --> WebRTC
-      if (this.r2cSchedule.length > 0 && this.webrtcIsReady() && this.client.bufferedAmount < this.MAX_BUFFER) {
+      if (this.r2cSchedule.length > 0 && this.webrtcIsReady() && this.client.bufferedAmount < this.MAX_BUFFER && !r2cLimit.isLimited()) {
         const chunk = this.r2cSchedule.shift();
         this.client.send(chunk);
-        this.rateLimit.update(chunk.byteLength);
+        r2cLimit.update(chunk.byteLength);
+        this.bytes[R2C] += chunk.byteLength;
+        this.messages[R2C]++;
+        this.emit(ProxyPair.EVENT.BYTES, chunk.byteLength, R2C);
         busy = true;
       }
     }
 
     if (this.flush_timeout_id) {
-      clearTimeout(this.flush_timeout_id);
+      this.clock.clearTimeout(this.flush_timeout_id);
       this.flush_timeout_id = null;
     }
-    if (this.r2cSchedule.length > 0 || this.c2rSchedule.length > 0) {
-      this.flush_timeout_id = setTimeout(this.flush, this.rateLimit.when() * 1000);
+    // Whatever is left is waiting for the other side to connect, which
+    // flushes again, for a send buffer to drain, or for a rate limit. Only
+    // the last one needs a timer.
+    const held = new Set();
+    if (this.c2rSchedule.length > 0 && this.relayIsReady()) {
+      if (this.relay.bufferedAmount >= this.MAX_BUFFER) {
+        if (WS.reportsSends(this.relay)) {
+          this.relayBlocked = true;
+        } else {
+          this.watchRelayDrain();
+        }
+      } else {
+        held.add(c2rLimit);
+      }
+    }
+    if (this.r2cSchedule.length > 0 && this.webrtcIsReady() && this.client.bufferedAmount < this.MAX_BUFFER) {
+      held.add(r2cLimit);
+    }
+    if (held.size > 0) {
+      const waits = Array.from(held, limit => limit.when());
+      this.flush_timeout_id = this.clock.setTimeout(this.flush, Math.min(...waits) * 1000);
+    }
+    // Limits that hold nothing back shouldn't keep the other clients waiting.
+    for (const limit of new Set([c2rLimit, r2cLimit])) {
+      if (!held.has(limit) && limit.idle) {
+        limit.idle();
+      }
+    }
+    this.updateReading(C2R);
+    this.updateReading(R2C);
+  }
+
+  /**
+   * A message has gone out to the relay. Flush if that got its send buffer
+   * down to `BUFFER_LOW`.
+   * @private
+   */
+  onRelaySent() {
+    if (!this.relayBlocked || !this.relayIsReady() || this.relay.bufferedAmount > this.BUFFER_LOW) {
+      return;
+    }
+    this.relayBlocked = false;
+    this.flush();
+  }
+
+  /**
+   * Flush once the relay's send buffer is down to `BUFFER_LOW`, for
+   * WebSockets that don't tell us.
+   * @private
+   */
+  watchRelayDrain() {
+    if (!this.relayDrainTimeoutId) {
+      this.relayDrainTimeoutId = this.clock.setTimeout(this.onRelayDrainCheck, this.RELAY_DRAIN_INTERVAL);
+    }
+  }
+
+  /** @private */
+  onRelayDrainCheck() {
+    this.relayDrainTimeoutId = 0;
+    if (!this.relayIsReady()) {
+      return;
+    }
+    if (this.relay.bufferedAmount > this.BUFFER_LOW) {
+      this.watchRelayDrain();
+      return;
+    }
+    this.flush();
+  }
+
+  /**
+   * Stop reading from the side the data for `direction` comes from while more
+   * than `MAX_QUEUE` bytes of it are waiting to be sent, and go on once half
+   * of that is left.
+   *
+   * Where the source can be paused, see `pausableSource`, it stops sending.
+   * Data channels and browsers' WebSockets can't be told to stop delivering
+   * messages, so for those this only holds off sending and caps the queue,
+   * see `takeIn`.
+   * @param {string} direction one of `ProxyPair.DIRECTION`.
+   * @private
+   */
+  updateReading(direction) {
+    const queued = this.scheduleFor(direction).bytes;
+    const source = this.pausableSource(direction);
+    if (!this.readingPaused[direction] && queued > this.MAX_QUEUE) {
+      this.logger.dbg('Pausing ' + direction + ', ' + queued + ' bytes waiting.');
+      this.readingPaused[direction] = true;
+      if (source) {
+        source.pause();
+      }
+    } else if (this.readingPaused[direction] && queued <= this.MAX_QUEUE / 2) {
+      this.logger.dbg('Resuming ' + direction + '.');
+      this.readingPaused[direction] = false;
+      if (source) {
+        source.resume();
+      }
     }
   }
 
@@ -324,7 +697,100 @@ class ProxyPair {
 
 }
 
+/**
+ * Listeners get called with the arguments in the comments.
+ */
+ProxyPair.EVENT = {
+  // A valid offer from a client. ()
+  OFFER: 'offer',
+  // The broker took our answer. ()
+  ANSWER: 'answer',
+  // The client opened the data channel. ()
+  CHANNEL_OPEN: 'channelopen',
+  // Connected to the relay. ()
+  RELAY_OPEN: 'relayopen',
+  // Some data got passed on. (byteCount, one of `ProxyPair.DIRECTION`)
+  BYTES: 'bytes',
+  // Some data is waiting to be passed on. (bytes waiting in all)
+  QUEUED: 'queued',
+  // (one of `ProxyPair.CLOSE_REASON` or `null`, `ProxyPairSummary`)
+  CLOSE: 'close'
+};
+
+ProxyPair.DIRECTION = {
+  CLIENT_TO_RELAY: 'c2r',
+  RELAY_TO_CLIENT: 'r2c'
+};
+
+ProxyPair.STATE = {
+  // Waiting for the broker to match us with a client.
+  CREATED: 'created',
+  // Got a client's offer, working on the answer.
+  OFFER_RECEIVED: 'offer-received',
+  // Handing the answer to the broker.
+  ANSWERING: 'answering',
+  // The broker took the answer, waiting for the client's data channel.
+  AWAITING_CHANNEL: 'awaiting-channel',
+  // The data channel is open, connecting to and talking with the relay.
+  RELAYING: 'relaying',
+  // Shutting down the connections.
+  CLOSING: 'closing',
+  CLOSED: 'closed'
+};
+
+/**
+ * For each of `ProxyPair.STATE`, the ones it may move on to.
+ * @type {Object<string, string[]>}
+ */
+ProxyPair.TRANSITIONS = {
+  [ProxyPair.STATE.CREATED]: [ProxyPair.STATE.OFFER_RECEIVED, ProxyPair.STATE.CLOSING],
+  [ProxyPair.STATE.OFFER_RECEIVED]: [ProxyPair.STATE.ANSWERING, ProxyPair.STATE.CLOSING],
+  [ProxyPair.STATE.ANSWERING]: [ProxyPair.STATE.AWAITING_CHANNEL, ProxyPair.STATE.RELAYING, ProxyPair.STATE.CLOSING],
+  [ProxyPair.STATE.AWAITING_CHANNEL]: [ProxyPair.STATE.RELAYING, ProxyPair.STATE.CLOSING],
+  [ProxyPair.STATE.RELAYING]: [ProxyPair.STATE.CLOSING],
+  [ProxyPair.STATE.CLOSING]: [ProxyPair.STATE.CLOSED],
+  [ProxyPair.STATE.CLOSED]: []
+};
+
+ProxyPair.CLOSE_REASON = {
+  // The broker didn't match us with a client, or we stopped asking.
+  NO_CLIENT: 'no client',
+  // The client's offer was no good.
+  INVALID_OFFER: 'invalid offer',
+  // We couldn't come up with an answer.
+  ANSWER_FAILED: 'answer failed',
+  // The answer wasn't ready before the client would have given up.
+  ANSWER_TIMEOUT: 'answer timeout',
+  // The broker couldn't pass our answer on to the client.
+  ANSWER_UNDELIVERED: 'answer undelivered',
+  // The client didn't open its data channel in time.
+  DATACHANNEL_TIMEOUT: 'datachannel timeout',
+  // The client went quiet for `messageTimeout`.
+  STALE: 'stale',
+  // The peer connection to the client failed, ...
+  CONNECTION_FAILED: 'connection failed',
+  // ... or was disconnected for longer than `disconnectGracePeriod`.
+  DISCONNECTED: 'disconnected',
+  RELAY_TIMEOUT: 'relay timeout',
+  RELAY_ERROR: 'relay error',
+  CLIENT_CLOSED: 'client closed',
+  RELAY_CLOSED: 'relay closed',
+  // Too much data was waiting, see `Snowflake.limitQueuedBytes`.
+  QUEUE_FULL: 'queue full',
+  // The proxy stopped serving clients, ...
+  DISABLED: 'disabled',
+  // ... or used up its quota, see `Quota`.
+  OVER_QUOTA: 'over quota'
+};
+
+// Bytes a send buffer may hold before we stop adding to it, ...
 ProxyPair.prototype.MAX_BUFFER = 10 * 1024 * 1024;
+// ... and how far it has to drain before we go on.
+ProxyPair.prototype.BUFFER_LOW = 1024 * 1024;
+// Milliseconds between checks on the relay's send buffer, while it's full.
+ProxyPair.prototype.RELAY_DRAIN_INTERVAL = 100;
+// Bytes we queue in either direction before we stop reading more.
+ProxyPair.prototype.MAX_QUEUE = 10 * 1024 * 1024;
 
 ProxyPair.prototype.pc = null;
 ProxyPair.prototype.client = null; // WebRTC Data channel
@@ -334,5 +800,42 @@ ProxyPair.prototype.connectToRelayTimeoutId = 0;
 ProxyPair.prototype.messageTimer = 0;
 ProxyPair.prototype.answerTimeoutId = 0;
 ProxyPair.prototype.flush_timeout_id = null;
+ProxyPair.prototype.relayDrainTimeoutId = 0;
+// Whether we're waiting for `onRelaySent` to drain the relay's send buffer.
+ProxyPair.prototype.relayBlocked = false;
+ProxyPair.prototype.disconnectTimeoutId = 0;
+
+ProxyPair.prototype.closeReason = null;
 
-ProxyPair.prototype.onCleanup = null;
+/**
+ * What a pair has done. Times are in milliseconds, and `null` for what didn't
+ * happen.
+ * @typedef {Object} ProxyPairSummary
+ * @property {string} id
+ * @property {string} relayURL
+ * @property {string | null} closeReason one of `ProxyPair.CLOSE_REASON`.
+ * @property {boolean} connected whether a client opened its data channel.
+ * @property {number} clientToRelayBytes
+ * @property {number} relayToClientBytes
+ * @property {number} clientToRelayMessages
+ * @property {number} relayToClientMessages
+ * @property {number | null} timeToAnswer from the client's offer until the
+ * broker took our answer.
+ * @property {number | null} timeToChannelOpen from the client's offer until
+ * it opened the data channel.
+ * @property {number | null} timeToRelayOpen from the data channel opening
+ * until the relay connection did.
+ * @property {number} lifetime from when we started polling for a client
+ * until the pair closed, or until now.
+ * @property {number | null} closedAt as in `clock.now()`.
+ * @property {ConnectionStateChange[]} connectionStates
+ */
+
+/**
+ * A change of the peer connection's `connectionState` or
+ * `iceConnectionState`.
+ * @typedef {Object} ConnectionStateChange
+ * @property {'connection' | 'ice'} type which of the two.
+ * @property {string} state the new one.
+ * @property {number} time as in `clock.now()`.
+ */
@@ -0,0 +1,208 @@
+/* global Logger */
+/* exported Quota */
+
+/**
+How many bytes we've relayed today and this month, against
+`config.dailyQuotaBytes` and `config.monthlyQuotaBytes`.
+
+Days and months are local calendar ones. The totals are kept in a store so
+that they survive restarts, but not on every byte: at most once every
+`Quota.SAVE_INTERVAL`.
+*/
+
+class Quota {
+
+  /**
+   * @param {Config} config
+   * @param {QuotaStore} [store] without one, nothing is persisted.
+   * @param {Logger} [logger]
+   */
+  constructor(config, store, logger) {
+    this.config = config;
+    this.store = store || null;
+    this.logger = logger || new Logger();
+    // Like '2024-01-31' and '2024-01', what the totals below are for.
+    this.day = Quota.dayOf(new Date(this.config.clock.now()));
+    this.month = Quota.monthOf(new Date(this.config.clock.now()));
+    this.dayBytes = 0;
+    this.monthBytes = 0;
+  }
+
+  /**
+   * Add what was stored earlier to what was counted since, if it's for the
+   * same periods. A store that can't be read counts as empty, and so do
+   * totals that aren't byte counts.
+   * @returns {Promise<void>} never rejects.
+   */
+  load() {
+    if (!this.store) {
+      return Promise.resolve();
+    }
+    const isByteCount = n => Number.isFinite(n) && n >= 0;
+    return this.store.get().then((saved) => {
+      if (!saved || 'object' !== typeof saved) {
+        return;
+      }
+      this.rollOver();
+      if (saved.day === this.day && isByteCount(saved.dayBytes)) {
+        this.dayBytes += saved.dayBytes;
+      }
+      if (saved.month === this.month && isByteCount(saved.monthBytes)) {
+        this.monthBytes += saved.monthBytes;
+      }
+    })
+    .catch((e) => {
+      this.logger.log('Failed to load the quota usage: ' + e);
+    });
+  }
+
+  /**
+   * @param {number} bytes just relayed.
+   */
+  add(bytes) {
+    this.rollOver();
+    this.dayBytes += bytes;
+    this.monthBytes += bytes;
+    if (this.store && !this.saveTimeoutId) {
+      this.saveTimeoutId = this.config.clock.setTimeout(() => {
+        this.saveTimeoutId = 0;
+        this.save();
+      }, Quota.SAVE_INTERVAL);
+    }
+  }
+
+  /**
+   * @returns {boolean} whether either quota is used up.
+   */
+  isExceeded() {
+    return this.isDailyExceeded() || this.isMonthlyExceeded();
+  }
+
+  /**
+   * @returns {number} milliseconds until no quota is used up anymore, 0 if
+   * none is now.
+   */
+  timeUntilReset() {
+    const now = new Date(this.config.clock.now());
+    let reset;
+    if (this.isMonthlyExceeded()) {
+      reset = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+    } else if (this.isDailyExceeded()) {
+      reset = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    } else {
+      return 0;
+    }
+    return reset.getTime() - now.getTime();
+  }
+
+  /**
+   * @returns {QuotaUsage}
+   */
+  usage() {
+    this.rollOver();
+    return {
+      dayBytes: this.dayBytes,
+      dailyQuotaBytes: this.config.dailyQuotaBytes,
+      monthBytes: this.monthBytes,
+      monthlyQuotaBytes: this.config.monthlyQuotaBytes,
+      exceeded: this.isExceeded(),
+    };
+  }
+
+  /**
+   * @returns {string} the usage, for the logs.
+   */
+  summary() {
+    this.rollOver();
+    const mb = bytes => (bytes / 1000000).toFixed(1) + ' MB';
+    const parts = [];
+    if (undefined !== this.config.dailyQuotaBytes) {
+      parts.push('today ' + mb(this.dayBytes) + ' of ' + mb(this.config.dailyQuotaBytes));
+    }
+    if (undefined !== this.config.monthlyQuotaBytes) {
+      parts.push('this month ' + mb(this.monthBytes) + ' of ' + mb(this.config.monthlyQuotaBytes));
+    }
+    return parts.length > 0 ? parts.join(', ') : 'today ' + mb(this.dayBytes) + ', no quota';
+  }
+
+  /** @private */
+  isDailyExceeded() {
+    this.rollOver();
+    return undefined !== this.config.dailyQuotaBytes && this.dayBytes >= this.config.dailyQuotaBytes;
+  }
+
+  /** @private */
+  isMonthlyExceeded() {
+    this.rollOver();
+    return undefined !== this.config.monthlyQuotaBytes && this.monthBytes >= this.config.monthlyQuotaBytes;
+  }
+
+  /**
+   * Start counting from 0 again when a new day or month has begun.
+   * @private
+   */
+  rollOver() {
+    const date = new Date(this.config.clock.now());
+    const day = Quota.dayOf(date);
+    if (day !== this.day) {
+      this.day = day;
+      this.dayBytes = 0;
+    }
+    const month = Quota.monthOf(date);
+    if (month !== this.month) {
+      this.month = month;
+      this.monthBytes = 0;
+    }
+  }
+
+  /** @private */
+  save() {
+    this.store.set({
+      day: this.day,
+      dayBytes: this.dayBytes,
+      month: this.month,
+      monthBytes: this.monthBytes,
+    })
+    .catch((e) => {
+      this.logger.log('Failed to store the quota usage: ' + e);
+    });
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {string}
+   * @private
+   */
+  static monthOf(date) {
+    return date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0');
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {string}
+   * @private
+   */
+  static dayOf(date) {
+    return Quota.monthOf(date) + '-' + String(date.getDate()).padStart(2, '0');
+  }
+
+}
+
+Quota.prototype.saveTimeoutId = 0;
+
+Quota.SAVE_INTERVAL = 60 * 1000;
+
+/**
+ * @typedef {Object} QuotaStore
+ * @property {() => Promise<Object | undefined>} get
+ * @property {(usage: Object) => Promise<void>} set
+ */
+
+/**
+ * @typedef {Object} QuotaUsage
+ * @property {number} dayBytes
+ * @property {number | undefined} dailyQuotaBytes
+ * @property {number} monthBytes
+ * @property {number | undefined} monthlyQuotaBytes
+ * @property {boolean} exceeded
+ */
@@ -0,0 +1,110 @@
+/* global Config */
+/* exported RelayPattern */
+
+/**
+Which relays we're willing to connect clients to.
+
+A pattern is a domain name, which matches that domain and all of its
+subdomains, or a domain name prefixed with `^`, which only matches that exact
+domain. `snowflake.torproject.net` matches `01.snowflake.torproject.net`, but
+not `evilsnowflake.torproject.net`.
+*/
+
+class RelayPattern {
+
+  /**
+   * @param {string} pattern
+   * @param {string} hostname typically of a relay URL.
+   * @returns {boolean}
+   */
+  static matches(pattern, hostname) {
+    if (typeof pattern !== "string") {
+      throw 'invalid RelayPattern.matches input: pattern';
+    }
+    if (typeof hostname !== "string") {
+      throw 'invalid RelayPattern.matches input: hostname';
+    }
+    const exact = pattern.charAt(0) === "^";
+    const domain = RelayPattern.normalize(exact ? pattern.substring(1) : pattern);
+    const host = RelayPattern.normalize(hostname);
+    if (domain === '') {
+      // Matching everything is only ever meant as a suffix pattern.
+      return !exact;
+    }
+    if (exact) {
+      return host === domain;
+    }
+    return host === domain || host.endsWith('.' + domain);
+  }
+
+  /**
+   * @param {string[]} patterns
+   * @param {string} hostname
+   * @returns {boolean} whether any of `patterns` matches.
+   */
+  static matchesAny(patterns, hostname) {
+    return patterns.some(pattern => RelayPattern.matches(pattern, hostname));
+  }
+
+  /**
+   * @param {Config} config
+   * @returns {string[]} the relay patterns we accept, the preferred one
+   * first. Never empty: without any, the defaults.
+   */
+  static fromConfig(config) {
+    if (config.allowedRelayPattern) {
+      return [config.allowedRelayPattern];
+    }
+    const patterns = config.allowedRelayPatterns;
+    if (!Array.isArray(patterns) || patterns.length === 0) {
+      return Config.prototype.allowedRelayPatterns;
+    }
+    return patterns;
+  }
+
+  /**
+   * The broker only takes a single pattern, so give it the narrowest one that
+   * still matches everything that any of `patterns` matches: their common
+   * domain suffix. It's up to us to turn down relays that only that one
+   * matches.
+   *
+   * Without a common suffix, or with only a top-level domain in common, that
+   * would be any relay at all. Then the broker gets the first pattern, and
+   * only matches us with clients of the relays that one stands for.
+   * @param {string[]} patterns not empty, see `fromConfig`, the preferred one
+   * first.
+   * @returns {string}
+   */
+  static forBroker(patterns) {
+    if (patterns.length === 1) {
+      return patterns[0];
+    }
+    const labels = patterns.map(pattern =>
+      RelayPattern.normalize(pattern.replace(/^\^/, '')).split('.').reverse()
+    );
+    const common = [];
+    for (let i = 0; labels.every(l => i < l.length && l[i] === labels[0][i]); i++) {
+      common.push(labels[0][i]);
+    }
+    if (common.length < 2) {
+      return patterns[0];
+    }
+    const suffix = common.reverse().join('.');
+    const allExact = patterns.every(pattern => pattern.charAt(0) === "^");
+    if (allExact && labels.every(l => l.length === common.length)) {
+      // All the same domain.
+      return '^' + suffix;
+    }
+    return suffix;
+  }
+
+  /**
+   * @param {string} domain
+   * @returns {string} lowercase, without leading or trailing dots.
+   * @private
+   */
+  static normalize(domain) {
+    return domain.toLowerCase().replace(/^\.+|\.+$/g, '');
+  }
+
+}
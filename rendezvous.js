@@ -0,0 +1,211 @@
+/* global Broker */
+/* exported Rendezvous, DirectRendezvous, DomainFrontingRendezvous, AmpCacheRendezvous */
+
+/**
+Ways of getting a request to the broker and its response back.
+
+In censored networks the broker hostname itself is often blocked, so besides
+talking to it directly we can go through a domain front or an AMP cache.
+Every method exchanges the same payloads, so `Broker` doesn't care which one
+is in use.
+*/
+
+class Rendezvous {
+
+  /**
+   * @param {HttpTransport} transport
+   */
+  constructor(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Deliver a payload to the broker and promise its reply. Every method
+   * takes the same arguments:
+   * - `brokerUrl`, with a trailing slash;
+   * - `urlSuffix`, e.g. 'proxy' or 'answer';
+   * - `payload`, a string;
+   * - `timeout`, in milliseconds;
+   * - optionally `signal`, an `AbortSignal` to cancel the exchange with.
+   * @returns {Promise<HttpTransportResponse>} rejects the same way as
+   * `HttpTransport.request`.
+   */
+  exchange() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * @param {Config} config
+   * @param {HttpTransport} transport
+   * @returns {Rendezvous}
+   */
+  static fromConfig(config, transport) {
+    switch (config.rendezvousMethod) {
+      case Rendezvous.METHOD.DOMAIN_FRONTING:
+        if (!transport.canSetHost) {
+          throw new Error('Domain fronting needs a transport that can set the Host header');
+        }
+        return new DomainFrontingRendezvous(transport, config.brokerFront);
+      case Rendezvous.METHOD.AMP_CACHE:
+        return new AmpCacheRendezvous(transport, config.ampCacheUrl);
+      case Rendezvous.METHOD.DIRECT:
+        return new DirectRendezvous(transport);
+      default:
+        throw new Error('Unknown rendezvous method: ' + config.rendezvousMethod);
+    }
+  }
+
+}
+
+Rendezvous.METHOD = {
+  DIRECT: 'direct',
+  DOMAIN_FRONTING: 'domain-fronting',
+  AMP_CACHE: 'amp-cache'
+};
+
+
+/** A plain POST to the broker. */
+class DirectRendezvous extends Rendezvous {
+
+  exchange(brokerUrl, urlSuffix, payload, timeout, signal) {
+    return this.transport.post(brokerUrl + urlSuffix, payload, timeout, signal);
+  }
+
+}
+
+
+/**
+ * POST to the front host, with the broker's host in the `Host` header so that
+ * the CDN behind the front forwards the request to the broker.
+ * `fetch` doesn't let us set that header, so this takes a transport that can,
+ * like `NodeHttpTransport`. Browsers have none.
+ */
+class DomainFrontingRendezvous extends Rendezvous {
+
+  /**
+   * @param {HttpTransport} transport
+   * @param {string} front host (optionally with port) or URL to connect to.
+   */
+  constructor(transport, front) {
+    super(transport);
+    this.front = front;
+  }
+
+  exchange(brokerUrl, urlSuffix, payload, timeout, signal) {
+    const url = new URL(brokerUrl + urlSuffix);
+    const realHost = url.host;
+    const front = new URL(
+      0 === this.front.indexOf('http', 0) ? this.front : url.protocol + '//' + this.front
+    );
+    url.protocol = front.protocol;
+    url.host = front.host;
+    return this.transport.request(url.href, {
+      method: 'POST',
+      body: payload,
+      headers: { Host: realHost },
+      signal: signal,
+    }, timeout);
+  }
+
+}
+
+
+/**
+ * GET through an AMP cache. The payload is encoded in the URL path, and the
+ * broker's reply comes back base64-encoded inside the `<pre>` element of an
+ * AMP page, which is the only kind of content the cache will serve.
+ */
+class AmpCacheRendezvous extends Rendezvous {
+
+  /**
+   * @param {HttpTransport} transport
+   * @param {string} cacheUrl e.g. 'https://cdn.ampproject.org/'
+   */
+  constructor(transport, cacheUrl) {
+    super(transport);
+    this.cacheUrl = cacheUrl;
+  }
+
+  exchange(brokerUrl, urlSuffix, payload, timeout, signal) {
+    const url = this.cacheURLFor(brokerUrl) + 'amp/' + urlSuffix + '/'
+      + AmpCacheRendezvous.encodePath(payload);
+    return this.transport.request(url, { method: 'GET', signal: signal }, timeout)
+    .then((res) => {
+      if (res.status !== Broker.CODE.OK) {
+        return res;
+      }
+      let body;
+      try {
+        body = AmpCacheRendezvous.decodeArmor(res.body);
+      } catch (e) {
+        // Pass the page on as is, it'll be rejected as malformed.
+        body = res.body;
+      }
+      return { status: res.status, statusText: res.statusText, body: body };
+    });
+  }
+
+  /**
+   * The URL under which the cache serves the broker's content, like
+   * https://snowflake--broker-freehaven-net.cdn.ampproject.org/c/s/snowflake-broker.freehaven.net/
+   * @param {string} brokerUrl
+   * @returns {string} with a trailing slash.
+   */
+  cacheURLFor(brokerUrl) {
+    const broker = new URL(brokerUrl);
+    const cache = new URL(this.cacheUrl);
+    // A local cache, e.g. a stand-in for testing, doesn't have a subdomain
+    // per origin.
+    if ('localhost' !== cache.hostname && !/^[\d.]+$|^\[/.test(cache.hostname)) {
+      cache.hostname = broker.hostname.replace(/-/g, '--').replace(/\./g, '-')
+        + '.' + cache.hostname;
+    }
+    return cache.origin + '/c/s/' + broker.host + broker.pathname;
+  }
+
+  /**
+   * A random cache breaker, so that the cache doesn't serve a stale reply,
+   * followed by the base64url-encoded payload.
+   * @param {string} payload
+   * @returns {string}
+   */
+  static encodePath(payload) {
+    const breaker = new Uint8Array(9);
+    for (let i = 0; i < breaker.length; i++) {
+      breaker[i] = Math.floor(Math.random() * 256);
+    }
+    return '0' + AmpCacheRendezvous.base64url(breaker) + '/'
+      + AmpCacheRendezvous.base64url(new TextEncoder().encode(payload));
+  }
+
+  /**
+   * @param {string} html an AMP page
+   * @returns {string} what's encoded in its `<pre>` element.
+   * @throws if there is no such element.
+   */
+  static decodeArmor(html) {
+    const m = /<pre>([\s\S]*?)<\/pre>/.exec(html);
+    if (m === null) {
+      throw new Error('No <pre> element in the AMP response');
+    }
+    const binary = atob(m[1].replace(/\s/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return new TextDecoder().decode(bytes);
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   * @returns {string} unpadded
+   */
+  static base64url(bytes) {
+    let binary = '';
+    bytes.forEach((b) => {
+      binary += String.fromCharCode(b);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+}
@@ -0,0 +1,53 @@
+/* exported RetryPolicy */
+
+/**
+Backoff for failed broker polls.
+
+Each consecutive failure doubles the delay before the next poll, up to
+`config.maxBrokerBackoff`. The delay is randomized so that proxies that lost
+the broker at the same time don't all come back at the same moment.
+*/
+
+class RetryPolicy {
+
+  /**
+   * @param {Config} config
+   */
+  constructor(config) {
+    this.config = config;
+    this.failures = 0;
+    /** @type {BrokerError | null} */
+    this.lastError = null;
+  }
+
+  /**
+   * @param {BrokerError} error
+   */
+  onFailure(error) {
+    this.failures++;
+    this.lastError = error;
+  }
+
+  /** The broker replied as expected. */
+  onSuccess() {
+    this.failures = 0;
+    this.lastError = null;
+  }
+
+  /**
+   * @param {number} interval the poll interval we'd use if the broker was fine.
+   * @returns {number} milliseconds to wait before polling again.
+   */
+  nextDelay(interval) {
+    if (0 === this.failures) {
+      return interval;
+    }
+    const backoff = Math.min(
+      interval * Math.pow(2, this.failures),
+      Math.max(interval, this.config.maxBrokerBackoff)
+    );
+    // "Equal jitter": somewhere between half and the full backoff.
+    return backoff / 2 + Math.random() * backoff / 2;
+  }
+
+}
@@ -0,0 +1,121 @@
+/* global Clock */
+/* exported Schedule */
+
+/**
+A weekly schedule of when the proxy may run.
+
+It's made of windows, each starting on a day of the week (0 is Sunday, like
+`Date.prototype.getDay`) at `start` minutes past midnight and lasting until
+`end` minutes past midnight. A window whose `end` isn't after its `start`
+runs into the next day, so that `{ day: 5, start: 1080, end: 480 }` is
+Friday 18:00 to Saturday 08:00. Times are local.
+*/
+
+class Schedule {
+
+  /**
+   * @param {ScheduleWindow[]} windows
+   * @param {Clock} [clock] usually `config.clock`.
+   */
+  constructor(windows, clock) {
+    this.windows = windows;
+    this.clock = clock || new Clock();
+  }
+
+  /**
+   * @returns {boolean} whether now falls into any of the windows.
+   */
+  isActive() {
+    const t = Schedule.minuteOfWeek(this.date());
+    return this.windows.some((w) => {
+      const [start, end] = Schedule.bounds(w);
+      // The last window of the week may run into the next one.
+      return (start <= t && t < end) || (start <= t + Schedule.WEEK && t + Schedule.WEEK < end);
+    });
+  }
+
+  /**
+   * @returns {Date | null} when a window next starts or ends, or `null`
+   * without any windows.
+   */
+  nextChange() {
+    const boundaries = [];
+    for (const w of this.windows) {
+      boundaries.push(...Schedule.bounds(w));
+    }
+    return Schedule.next(this.date(), boundaries);
+  }
+
+  /**
+   * @returns {Date | null} when a window next starts, or `null` without any
+   * windows.
+   */
+  nextStart() {
+    return Schedule.next(this.date(), this.windows.map(w => Schedule.bounds(w)[0]));
+  }
+
+  /**
+   * @returns {Date} now, by `clock`.
+   * @private
+   */
+  date() {
+    return new Date(this.clock.now());
+  }
+
+  /**
+   * @param {Date} date
+   * @param {number[]} boundaries in minutes of the week.
+   * @returns {Date | null} the first one after `date`.
+   * @private
+   */
+  static next(date, boundaries) {
+    if (boundaries.length === 0) {
+      return null;
+    }
+    const t = Schedule.minuteOfWeek(date);
+    const delta = Math.min(...boundaries.map((b) => {
+      const d = ((b - t) % Schedule.WEEK + Schedule.WEEK) % Schedule.WEEK;
+      return d === 0 ? Schedule.WEEK : d;
+    }));
+    const next = new Date(date.getTime());
+    next.setSeconds(0, 0);
+    next.setMinutes(next.getMinutes() + delta);
+    return next;
+  }
+
+  /**
+   * @param {ScheduleWindow} w
+   * @returns {[number, number]} start and end, in minutes of the week.
+   * @private
+   */
+  static bounds(w) {
+    const start = w.day * Schedule.DAY + w.start;
+    let end = w.day * Schedule.DAY + w.end;
+    if (end <= start) {
+      end += Schedule.DAY;
+    }
+    return [start, end];
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {number} minutes since Sunday midnight.
+   * @private
+   */
+  static minuteOfWeek(date) {
+    return date.getDay() * Schedule.DAY + date.getHours() * 60 + date.getMinutes();
+  }
+
+}
+
+// In minutes.
+Schedule.DAY = 24 * 60;
+Schedule.WEEK = 7 * Schedule.DAY;
+
+/**
+ * @typedef {Object} ScheduleWindow
+ * @property {number} day 0 to 6, Sunday first.
+ * @property {number} start minutes past midnight.
+ * @property {number} end minutes past midnight, on the next day if not after
+ * `start`.
+ */
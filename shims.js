@@ -19,6 +19,7 @@ if (typeof module !== "undefined" && module !== null ? module.exports : undefine
     RTCPeerConnection = webrtc.RTCPeerConnection;
     RTCSessionDescription = webrtc.RTCSessionDescription;
     WebSocket = require('ws');
-    ({ XMLHttpRequest } = require('xmlhttprequest'));
+    // `fetch` and `AbortController`, which the broker and probe requests
+    // rely on, are globals since Node 18.
   }
 }
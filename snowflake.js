@@ -1,4 +1,4 @@
-/* global log, dbg, DummyRateLimit, BucketRateLimit, ProxyPair */
+/* global DummyRateLimit, BucketRateLimit, FairRateLimit, ProxyPair, Broker, BrokerError, RetryPolicy, EventEmitter, Logger, PollStrategy, NATState, RelayPattern, Quota */
 
 /**
 A JavaScript WebRTC snowflake proxy
@@ -8,47 +8,99 @@ Uses WebRTC from the client, and Websocket to the server.
 Assume that the webrtc client plugin is always the offerer, in which case
 this proxy must always act as the answerer.
 
+The UI, and anyone else interested, can follow along through
+`Snowflake.EVENT`.
+
 TODO: More documentation
 */
 
-class Snowflake {
+class Snowflake extends EventEmitter {
 
   /**
    * Prepare the Snowflake with a Broker (to find clients) and optional UI.
    * @param {Config} config
    * @param {WebExtUI | BadgeUI | DebugUI} ui
    * @param {Broker} broker
+   * @param {Logger} [logger]
+   * @param {NATState} [natState] defaults to one that isn't persisted.
+   * @param {Quota} [quota] defaults to one that isn't persisted.
    */
-  constructor(config, ui, broker) {
+  constructor(config, ui, broker, logger, natState, quota) {
+    super();
     this.receiveOffer = this.receiveOffer.bind(this);
 
     this.config = config;
+    this.clock = config.clock;
     this.ui = ui;
+    this.logger = logger || new Logger();
     this.broker = broker;
-    this.broker.setNATType(ui.natType);
+    this.natState = natState || new NATState(config, null, this.logger);
+    this.quota = quota || new Quota(config, null, this.logger);
+    this.broker.setNATType(this.natState.natType);
     this.proxyPairs = [];
-    this.natFailures = 0;
-    this.pollInterval = this.config.defaultBrokerPollInterval;
-    if (undefined === this.config.rateLimitBytes) {
-      this.rateLimit = new DummyRateLimit();
-    } else {
-      this.rateLimit = new BucketRateLimit(this.config.rateLimitBytes * this.config.rateLimitHistory, this.config.rateLimitHistory);
-    }
+    this.pollStrategy = PollStrategy.fromConfig(config);
+    this.updateRateLimits();
     this.retries = 0;
+    this.retryPolicy = new RetryPolicy(config);
+    /**
+     * How many pairs were closed for each of `ProxyPair.CLOSE_REASON`.
+     * @type {Object<string, number>}
+     */
+    this.closeReasons = {};
+    /**
+     * The pairs that got a client, oldest first, up to
+     * `config.pairHistorySize` of them. See `getHistory`.
+     * @type {ProxyPairSummary[]}
+     */
+    this.history = [];
+    ui.subscribe(this);
   }
 
   /**
-   * Start asking the broker for clients and serving them.
+   * Start asking the broker for clients and serving them. This also resumes
+   * after `pause` and `drain`, but not before the quota resets.
+   * There is a separate poll, with its own ProxyPair, for each client we have
+   * room for.
    */
   beginServingClients() {
-    if (this.proxyPairs.length < this.config.maxNumClients) {
+    if (this.quota.isExceeded()) {
+      this.onQuotaExceeded();
+      return;
+    }
+    this.clock.clearTimeout(this.drainTimeoutId);
+    this.clock.clearTimeout(this.quotaTimeoutId);
+    this.setState(Snowflake.STATE.SERVING);
+    if (0 === this.fillCapacity()) {
+      this.logger.dbg('Polling skipped: at client capacity.');
+    }
+    this.scheduleNextPoll();
+  }
+
+  /**
+   * Poll the broker for as many more clients as we can serve.
+   * @returns {number} the number of polls started.
+   * @private
+   */
+  fillCapacity() {
+    const free = this.config.maxNumClients - this.proxyPairs.length;
+    for (let i = 0; i < free; i++) {
       this.pollBroker();
-    } else {
-      dbg('Polling skipped: at client capacity.');
     }
-    this.pollTimeoutId = setTimeout((() => {
+    return Math.max(free, 0);
+  }
+
+  /**
+   * (Re)start the timer for the next poll, taking backoff into account.
+   * @private
+   */
+  scheduleNextPoll() {
+    if (this.state !== Snowflake.STATE.SERVING) {
+      return;
+    }
+    this.clock.clearTimeout(this.pollTimeoutId);
+    this.pollTimeoutId = this.clock.setTimeout((() => {
       this.beginServingClients();
-    }), this.pollInterval);
+    }), this.retryPolicy.nextDelay(this.pollStrategy.interval));
   }
 
   /**
@@ -57,65 +109,108 @@ class Snowflake {
    */
   pollBroker() {
     const pair = this.makeProxyPair();
-    log('Polling broker..');
-
-    let msg = 'Polling for client ... ';
-    if (this.retries > 0) {
-      msg += '[retries: ' + this.retries + ']';
-    }
-    this.ui.setStatus(msg);
+    this.logger.log('Polling broker..');
+    this.emit(Snowflake.EVENT.POLL, pair);
 
     //update NAT type
-    console.log("NAT type: " + this.ui.natType);
-    this.broker.setNATType(this.ui.natType);
+    this.logger.dbg('NAT type: ' + this.natState.natType);
+    this.broker.setNATType(this.natState.natType);
 
-    const recv = this.broker.getClientOffer(pair.id, this.proxyPairs.length);
+    const recv = this.broker.getClientOffer(pair.id, this.numClientsConnected());
     recv.then((resp) => {
+      this.onBrokerSuccess();
+      if (pair.closed) {
+        this.logger.log('Matched with a client after closing its pair, it won\'t get an answer.');
+        return;
+      }
+      if (this.state !== Snowflake.STATE.SERVING) {
+        // The poll couldn't be cancelled in time. The broker has given this
+        // client to us, so serve it like the ones we already have.
+        this.logger.log('Matched with a client after we stopped polling, answering it anyway.');
+      }
       const clientNAT = resp.NAT;
       if (!this.receiveOffer(pair, resp.Offer, resp.RelayURL)) {
-        pair.close();
+        pair.close(ProxyPair.CLOSE_REASON.INVALID_OFFER);
         return;
       }
-      //set a timeout for channel creation
-      setTimeout((() => {
-        if (!pair.webrtcIsReady()) {
-          log('proxypair datachannel timed out waiting for open');
-          pair.close();
-          // increase poll interval
-          this.pollInterval =
-            Math.min(this.pollInterval + this.config.pollAdjustment,
-              this.config.slowestBrokerPollInterval);
-          if (clientNAT == "restricted") {
-            this.natFailures++;
-          }
-          // if we fail to connect to a restricted client 3 times in
-          // a row, assume we have a restricted NAT
-          if (this.natFailures >= 3) {
-            this.ui.natType = "restricted";
-            console.log("Learned NAT type: restricted");
-            this.natFailures = 0;
-            this.config.maxNumClients = 1;
-          }
-          this.broker.setNATType(this.ui.natType);
-        } else {
-          // decrease poll interval
-          this.pollInterval =
-            Math.max(this.pollInterval - this.config.pollAdjustment,
-              this.config.defaultBrokerPollInterval);
-          this.natFailures = 0;
-          if (this.ui.natType == "unrestricted") {
-            this.pollInterval = this.config.fastBrokerPollInterval;
-            this.config.maxNumClients = 2;
-          }
-        }
-      }), this.config.datachannelTimeout);
-    }, function () {
+      this.watchConnection(pair, clientNAT);
+    }, (err) => {
       //on error, close proxy pair
-      pair.close();
+      pair.close(ProxyPair.CLOSE_REASON.NO_CLIENT);
+      if (err instanceof BrokerError) {
+        this.onBrokerFailure(err);
+      } else if (err === Broker.MESSAGE.TIMEOUT) {
+        this.onBrokerSuccess();
+      }
     });
     this.retries++;
   }
 
+  /**
+   * Learn about our NAT from whether the client of `pair` opens a data
+   * channel within `datachannelTimeout`. A pair that closes before that for
+   * any other reason, like `disable` or the client not getting our answer,
+   * tells nothing about it.
+   * @param {ProxyPair} pair
+   * @param {string} clientNAT what the broker told us about the client's.
+   * @private
+   */
+  watchConnection(pair, clientNAT) {
+    const stopWatching = () => {
+      this.clock.clearTimeout(timeoutId);
+      pair.off(ProxyPair.EVENT.CHANNEL_OPEN, onOpen);
+      pair.off(ProxyPair.EVENT.CLOSE, stopWatching);
+    };
+    const onOpen = () => {
+      stopWatching();
+      this.pollStrategy.onConnected(this.natState.natType);
+      this.natState.onConnected();
+      if (this.natState.natType == "unrestricted") {
+        this.config.maxNumClients = 2;
+      }
+    };
+    const timeoutId = this.clock.setTimeout(() => {
+      stopWatching();
+      this.logger.log('proxypair datachannel timed out waiting for open');
+      // Without an answer to hand over, the client had nothing to
+      // connect to.
+      const answered = pair.state !== ProxyPair.STATE.OFFER_RECEIVED;
+      pair.close(answered ? ProxyPair.CLOSE_REASON.DATACHANNEL_TIMEOUT : ProxyPair.CLOSE_REASON.ANSWER_TIMEOUT);
+      this.pollStrategy.onFailedToConnect(this.natState.natType);
+      if (this.natState.onFailedToConnect(clientNAT)) {
+        this.logger.log('Learned NAT type: restricted');
+        this.config.maxNumClients = 1;
+      }
+      this.broker.setNATType(this.natState.natType);
+    }, this.config.datachannelTimeout);
+    pair.on(ProxyPair.EVENT.CHANNEL_OPEN, onOpen);
+    pair.on(ProxyPair.EVENT.CLOSE, stopWatching);
+  }
+
+  /** @private */
+  onBrokerSuccess() {
+    if (this.retryPolicy.failures > 0) {
+      this.logger.log('Broker is reachable again.');
+    }
+    this.retryPolicy.onSuccess();
+    this.ui.setBrokerError(null);
+    this.ui.setBrokerEndpoints(this.broker.getEndpoints());
+  }
+
+  /**
+   * Back off from polling the broker.
+   * @param {BrokerError} err
+   * @private
+   */
+  onBrokerFailure(err) {
+    this.retryPolicy.onFailure(err);
+    this.ui.setBrokerError(err);
+    this.ui.setBrokerEndpoints(this.broker.getEndpoints());
+    this.scheduleNextPoll();
+    this.logger.log('Broker failure (' + err.kind + '), consecutive: '
+      + this.retryPolicy.failures + '. Backing off.');
+  }
+
   /**
    * Receive an SDP offer from some client assigned by the Broker
    * @param {ProxyPair} pair an available ProxyPair.
@@ -131,90 +226,342 @@ class Snowflake {
         const hostname = relayURLParsed.hostname;
         const protocol = relayURLParsed.protocol;
         if (protocol !== "wss:") {
-          log('incorrect relay url protocol');
+          this.logger.log('incorrect relay url protocol');
           return false;
         }
-        if (!Snowflake.checkRelayPattern(this.config.allowedRelayPattern, hostname)) {
-          log('relay url hostname does not match allowed pattern');
+        if (!RelayPattern.matchesAny(RelayPattern.fromConfig(this.config), hostname)) {
+          this.logger.log('relay url hostname does not match allowed patterns');
           return false;
         }
         pair.setRelayURL(relayURL);
       }
       /** @type {RTCSessionDescriptionInit} */
       const offer = JSON.parse(desc);
-      dbg('Received:\n\n' + offer.sdp + '\n');
+      this.logger.dbg('Received:\n\n' + offer.sdp + '\n');
       const sdp = new RTCSessionDescription(offer);
+      const deadline = this.clock.now() + this.config.clientTimeout;
       const result = pair.receiveWebRTCOffer(
         sdp,
-        answer => this.broker.sendAnswer(pair.id, answer)
+        answer => this.broker.sendAnswer(pair.id, answer, deadline)
       );
       return result;
     } catch (e) {
-      log('ERROR: Unable to receive Offer: ' + e);
+      this.logger.log('ERROR: Unable to receive Offer: ' + e);
       return false;
     }
   }
 
+  /**
+   * @returns {ProxyPairSummary[]} the latest clients that are gone, oldest
+   * first, and those we are serving right now.
+   */
+  getHistory() {
+    return this.history.concat(
+      this.proxyPairs.filter(p => null !== p.times.offer).map(p => p.summary())
+    );
+  }
+
+  /**
+   * @returns {Object<string, number>} how many pairs were closed for each of
+   * `ProxyPair.CLOSE_REASON`.
+   */
+  getCloseReasons() {
+    return Object.assign({}, this.closeReasons);
+  }
+
+  /**
+   * @returns {number} how many clients we are serving right now, not
+   * counting the pairs that are still waiting for one.
+   */
+  numClientsConnected() {
+    return this.proxyPairs.filter(p => p.nowConnected).length;
+  }
+
   /**
    * @returns {ProxyPair}
    * @private
    */
   makeProxyPair() {
-    const pair = new ProxyPair(this.rateLimit, this.config);
+    const rateLimits = this.shareRateLimits();
+    const pair = new ProxyPair(rateLimits, this.config, this.logger);
     this.proxyPairs.push(pair);
 
-    log('Snowflake IDs: ' + (this.proxyPairs.map(p => p.id)).join(' | '));
+    this.logger.log('Snowflake IDs: ' + (this.proxyPairs.map(p => p.id)).join(' | '));
 
-    pair.onCleanup = () => {
+    for (const type of Object.values(ProxyPair.EVENT)) {
+      pair.on(type, (...args) => {
+        this.emit(type, pair, ...args);
+      });
+    }
+    pair.on(ProxyPair.EVENT.BYTES, (byteCount) => {
+      this.quota.add(byteCount);
+      if (this.state === Snowflake.STATE.SERVING && this.quota.isExceeded()) {
+        this.onQuotaExceeded();
+      }
+    });
+    pair.on(ProxyPair.EVENT.QUEUED, () => {
+      this.limitQueuedBytes();
+    });
+    pair.on(ProxyPair.EVENT.CLOSE, (reason, summary) => {
+      for (const rateLimit of new Set(Object.values(rateLimits))) {
+        if (rateLimit.release) {
+          rateLimit.release();
+        }
+      }
+      // Polls that no client came for aren't worth remembering.
+      if (null !== pair.times.offer) {
+        this.history.push(summary);
+        this.history.splice(0, this.history.length - this.config.pairHistorySize);
+      }
+      if (reason) {
+        this.closeReasons[reason] = (this.closeReasons[reason] || 0) + 1;
+      }
       // Delete from the list of proxy pairs.
       const ind = this.proxyPairs.indexOf(pair);
       if (ind > -1) {
         this.proxyPairs.splice(ind, 1);
+        // A client has left, take another one without waiting for the
+        // next poll interval. Pairs that never got a client wait for it
+        // though, so that the poll interval keeps throttling us.
+        if (this.state === Snowflake.STATE.SERVING && pair.wasConnected) {
+          this.fillCapacity();
+        }
+        if (this.state === Snowflake.STATE.OVER_QUOTA && this.numClientsConnected() === 0) {
+          this.clock.clearTimeout(this.drainTimeoutId);
+        }
+        if (this.state === Snowflake.STATE.DRAINING && this.numClientsConnected() === 0) {
+          this.logger.log('Drained.');
+          this.disable();
+        }
       }
-    };
+    });
     pair.begin();
     return pair;
   }
+  /**
+   * Keep the data waiting in all pairs within `config.maxQueuedBytes`, by
+   * closing the pairs with the most, one after another.
+   * @private
+   */
+  limitQueuedBytes() {
+    let total = this.proxyPairs.reduce((sum, pair) => sum + pair.queuedBytes(), 0);
+    if (total <= this.config.maxQueuedBytes) {
+      return;
+    }
+    const worstFirst = this.proxyPairs.slice().sort((a, b) => b.queuedBytes() - a.queuedBytes());
+    for (const pair of worstFirst) {
+      if (total <= this.config.maxQueuedBytes) {
+        break;
+      }
+      total -= pair.queuedBytes();
+      this.logger.log('Too much data waiting to be passed on, closing ' + pair.id + '.');
+      pair.close(ProxyPair.CLOSE_REASON.QUEUE_FULL);
+    }
+  }
 
-  /** Stop all proxypairs. */
-  disable() {
-    log('Disabling Snowflake.');
-    clearTimeout(this.pollTimeoutId);
-    while (this.proxyPairs.length > 0) {
-      this.proxyPairs.pop().close();
+
+  /**
+   * Take the rate limits from `config`, for the clients to come. Each limit
+   * is divided fairly among the clients, see `FairRateLimit`.
+   *
+   * Clients keep their shares of the limits they started with, so until they
+   * leave, new limits come on top of the old ones. That's why nothing changes
+   * unless the settings did.
+   */
+  updateRateLimits() {
+    const c2r = this.config.clientToRelayRateLimitBytes;
+    const r2c = this.config.relayToClientRateLimitBytes;
+    const settings = [
+      c2r, r2c, this.config.rateLimitBytes, this.config.rateLimitHistory, this.config.fairShareQuantum
+    ];
+    if (this.rateLimitSettings && settings.every((value, i) => value === this.rateLimitSettings[i])) {
+      return;
+    }
+    this.rateLimitSettings = settings;
+    const makeRateLimit = (bytes) => {
+      if (undefined === bytes) {
+        return new DummyRateLimit();
+      }
+      return new FairRateLimit(
+        new BucketRateLimit(bytes * this.config.rateLimitHistory, this.config.rateLimitHistory, this.clock),
+        this.config.fairShareQuantum
+      );
+    };
+    if (undefined === c2r && undefined === r2c) {
+      const shared = makeRateLimit(this.config.rateLimitBytes);
+      this.rateLimits = {
+        [ProxyPair.DIRECTION.CLIENT_TO_RELAY]: shared,
+        [ProxyPair.DIRECTION.RELAY_TO_CLIENT]: shared,
+      };
+      return;
+    }
+    this.rateLimits = {
+      [ProxyPair.DIRECTION.CLIENT_TO_RELAY]:
+        makeRateLimit(undefined !== c2r ? c2r : this.config.rateLimitBytes),
+      [ProxyPair.DIRECTION.RELAY_TO_CLIENT]:
+        makeRateLimit(undefined !== r2c ? r2c : this.config.rateLimitBytes),
+    };
+  }
+
+  /**
+   * @returns {Object<string, DummyRateLimit | FairShare>} a pair's share of
+   * `rateLimits`. Directions that share a limit share it here too.
+   * @private
+   */
+  shareRateLimits() {
+    const shares = new Map();
+    const result = {};
+    for (const [direction, rateLimit] of Object.entries(this.rateLimits)) {
+      if (!(rateLimit instanceof FairRateLimit)) {
+        result[direction] = rateLimit;
+        continue;
+      }
+      if (!shares.has(rateLimit)) {
+        shares.set(rateLimit, rateLimit.share());
+      }
+      result[direction] = shares.get(rateLimit);
+    }
+    return result;
+  }
+
+  /**
+   * Stop polling for new clients, but keep serving the ones we have.
+   */
+  pause() {
+    if (this.state !== Snowflake.STATE.SERVING) {
+      return;
+    }
+    this.logger.log('Pausing Snowflake.');
+    this.stopPolling();
+    this.setState(Snowflake.STATE.PAUSED);
+  }
+
+  /**
+   * Stop polling for new clients, and disable once the ones we have are gone,
+   * or after `config.drainTimeout` at the latest.
+   */
+  drain() {
+    if (this.state === Snowflake.STATE.DRAINING || this.state === Snowflake.STATE.STOPPED) {
+      return;
     }
+    this.stopPolling();
+    this.clock.clearTimeout(this.drainTimeoutId);
+    this.clock.clearTimeout(this.quotaTimeoutId);
+    if (this.numClientsConnected() === 0) {
+      this.disable();
+      return;
+    }
+    this.logger.log('Draining Snowflake: ' + this.numClientsConnected() + ' clients left.');
+    this.setState(Snowflake.STATE.DRAINING);
+    this.drainTimeoutId = this.clock.setTimeout(() => {
+      this.logger.log('Drain timed out.');
+      this.disable();
+    }, this.config.drainTimeout);
   }
 
   /**
-   * checkRelayPattern match str against patten
-   * @param {string} pattern
-   * @param {string} str typically a domain name to be checked
-   * @return {boolean}
+   * Stop polling until the quota resets, and give the clients we have up to
+   * `config.drainTimeout` to finish.
    * @private
    */
-  static checkRelayPattern(pattern, str) {
-    if (typeof pattern !== "string") {
-      throw 'invalid checkRelayPattern input: pattern';
+  onQuotaExceeded() {
+    const wait = this.quota.timeUntilReset();
+    this.logger.log('Quota reached (' + this.quota.summary() + '), resuming in ' +
+      Math.ceil(wait / 60000) + ' minutes.');
+    // Also when we're over quota already: the reset came a bit early, or the
+    // monthly quota ran out while waiting for the daily one.
+    this.clock.clearTimeout(this.quotaTimeoutId);
+    this.quotaTimeoutId = this.clock.setTimeout(() => {
+      this.logger.log('Quota reset.');
+      this.beginServingClients();
+    }, wait);
+    if (this.state === Snowflake.STATE.OVER_QUOTA) {
+      return;
     }
-    if (typeof str !== "string") {
-      throw 'invalid checkRelayPattern input: str';
+    this.stopPolling();
+    this.setState(Snowflake.STATE.OVER_QUOTA);
+    this.clock.clearTimeout(this.drainTimeoutId);
+    if (this.numClientsConnected() > 0) {
+      this.drainTimeoutId = this.clock.setTimeout(() => {
+        this.logger.log('Quota drain timed out.');
+        while (this.proxyPairs.length > 0) {
+          this.proxyPairs.pop().close(ProxyPair.CLOSE_REASON.OVER_QUOTA);
+        }
+      }, this.config.drainTimeout);
     }
+  }
 
-    let exactMatch = false;
-    if (pattern.charAt(0) === "^") {
-      exactMatch = true;
-      pattern = pattern.substring(1);
+  /** Stop all proxypairs. */
+  disable() {
+    this.logger.log('Disabling Snowflake.');
+    this.setState(Snowflake.STATE.STOPPED);
+    this.clock.clearTimeout(this.pollTimeoutId);
+    this.clock.clearTimeout(this.drainTimeoutId);
+    this.clock.clearTimeout(this.quotaTimeoutId);
+    this.broker.abortRequests();
+    while (this.proxyPairs.length > 0) {
+      this.proxyPairs.pop().close(ProxyPair.CLOSE_REASON.DISABLED);
     }
+  }
 
-    if (exactMatch) {
-      return pattern.localeCompare(str) === 0;
+  /**
+   * Cancel the polls in flight, and the pairs that were waiting on them.
+   * @private
+   */
+  stopPolling() {
+    this.clock.clearTimeout(this.pollTimeoutId);
+    this.broker.abortPolls();
+  }
+
+  /**
+   * @param {string} state one of `Snowflake.STATE`
+   * @private
+   */
+  setState(state) {
+    if (state === this.state) {
+      return;
     }
-    return str.endsWith(pattern);
+    this.state = state;
+    this.emit(Snowflake.EVENT.STATE, state);
   }
 
 }
 
-Snowflake.prototype.rateLimit = null;
+/** @type {Object<string, DummyRateLimit | FairRateLimit> | null} */
+Snowflake.prototype.rateLimits = null;
+
+// What `rateLimits` were made from, see `updateRateLimits`.
+Snowflake.prototype.rateLimitSettings = null;
+
+Snowflake.prototype.state = 'stopped';
+
+Snowflake.prototype.pollTimeoutId = 0;
+
+Snowflake.prototype.drainTimeoutId = 0;
+
+Snowflake.prototype.quotaTimeoutId = 0;
+
+Snowflake.STATE = {
+  STOPPED: 'stopped',
+  SERVING: 'serving',
+  // Not polling, but serving the clients we have.
+  PAUSED: 'paused',
+  // Like paused, until the last client is gone.
+  DRAINING: 'draining',
+  // Like paused, until the quota resets.
+  OVER_QUOTA: 'overquota'
+};
+
+/**
+ * Every `ProxyPair.EVENT` gets re-emitted here, with the pair as the first
+ * argument.
+ */
+Snowflake.EVENT = Object.assign({
+  // Started polling the broker for a client. (pair)
+  POLL: 'poll',
+  // (one of `Snowflake.STATE`)
+  STATE: 'statechange'
+}, ProxyPair.EVENT);
 
 Snowflake.MESSAGE = {
   CONFIRMATION: 'You\'re currently serving a Tor user via Snowflake.'
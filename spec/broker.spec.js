@@ -1,21 +1,22 @@
-/* global expect, it, describe, spyOn, Broker */
+/* global expect, it, describe, beforeEach, spyOn, Broker */
 
 /*
 jasmine tests for Snowflake broker
 */
 
-// fake xhr
-// class XMLHttpRequest
-class XMLHttpRequest {
-  constructor() {
-    this.onreadystatechange = null;
+// fake transport, replying to every request with `response`
+class FakeTransport {
+  constructor(response) {
+    this.response = response;
   }
-  open() {}
-  setRequestHeader() {}
-  send() {}
-};
-
-XMLHttpRequest.prototype.DONE = 1;
+  post() {
+    if (this.response instanceof Error || typeof this.response === 'string') {
+      return Promise.reject(this.response);
+    }
+    return Promise.resolve(this.response);
+  }
+  abortAll() {}
+}
 
 
 describe('Broker', function() {
@@ -35,17 +36,18 @@ describe('Broker', function() {
       var b, poll;
       var config = new Config;
       config.brokerUrl = 'fake';
-      b = new Broker(config);
       // fake successful request and response from broker.
-      spyOn(b, '_postRequest').and.callFake(function() {
-        b._xhr.readyState = b._xhr.DONE;
-        b._xhr.status = Broker.CODE.OK;
-        b._xhr.responseText = '{"Status":"client match","Offer":"fake offer","NAT":"unknown"}';
-        return b._xhr.onreadystatechange();
-      });
+      b = new Broker(config, new FakeTransport({
+        status: Broker.CODE.OK,
+        statusText: 'OK',
+        body: '{"Status":"client match","Offer":"fake offer","NAT":"unknown"}'
+      }));
+      spyOn(b.transport, 'post').and.callThrough();
       poll = b.getClientOffer();
       expect(poll).not.toBeNull();
-      expect(b._postRequest).toHaveBeenCalled();
+      expect(b.transport.post).toHaveBeenCalledWith(
+        'https://fake/proxy', jasmine.any(String), config.brokerPollTimeout, jasmine.any(AbortSignal)
+      );
       return poll.then(function(resp) {
         expect(resp.Offer).toEqual('fake offer');
         return done();
@@ -59,17 +61,14 @@ describe('Broker', function() {
       var b, poll;
       var config = new Config;
       config.brokerUrl = 'fake';
-      b = new Broker(config);
       // fake timed-out request from broker
-      spyOn(b, '_postRequest').and.callFake(function() {
-        b._xhr.readyState = b._xhr.DONE;
-        b._xhr.status = Broker.CODE.OK;
-        b._xhr.responseText = '{"Status":"no match"}';
-        return b._xhr.onreadystatechange();
-      });
+      b = new Broker(config, new FakeTransport({
+        status: Broker.CODE.OK,
+        statusText: 'OK',
+        body: '{"Status":"no match"}'
+      }));
       poll = b.getClientOffer();
       expect(poll).not.toBeNull();
-      expect(b._postRequest).toHaveBeenCalled();
       return poll.then(function(desc) {
         fail('should not fulfill with "Status: no match"');
         return done();
@@ -79,29 +78,178 @@ describe('Broker', function() {
       });
     });
 
-    it('rejects on any other status', function(done) {
-      var b, poll;
+    it('falls back to older protocol versions', function(done) {
       var config = new Config;
       config.brokerUrl = 'fake';
-      b = new Broker(config);
-      // fake timed-out request from broker
-      spyOn(b, '_postRequest').and.callFake(function() {
-        b._xhr.readyState = b._xhr.DONE;
-        b._xhr.status = 1337;
-        return b._xhr.onreadystatechange();
+      var transport = new FakeTransport();
+      var versions = [];
+      spyOn(transport, 'post').and.callFake(function(url, payload) {
+        var version = JSON.parse(payload).Version;
+        versions.push(version);
+        return Promise.resolve(version === '1.1' ? {
+          status: Broker.CODE.OK,
+          statusText: 'OK',
+          body: '{"Status":"client match","Offer":"fake offer","NAT":"unknown"}'
+        } : {
+          status: Broker.CODE.BAD_REQUEST,
+          statusText: 'Bad Request',
+          body: ''
+        });
       });
-      poll = b.getClientOffer();
-      expect(poll).not.toBeNull();
-      expect(b._postRequest).toHaveBeenCalled();
-      return poll.then(function(desc) {
-        fail('should not fulfill on non-OK status');
-        return done();
+      var b = new Broker(config, transport);
+      b.getClientOffer('id', 0).then(function(resp) {
+        expect(resp.Offer).toBe('fake offer');
+        expect(versions).toEqual(['1.3', '1.2', '1.1']);
+        return b.getClientOffer('id', 0);
+      }).then(function() {
+        expect(versions[3]).toBe('1.1');
+        expect(b.getEndpoints()[0].protocolVersion).toBe('1.1');
+        done();
+      });
+    });
+
+    it('keeps fields it does not know about', function(done) {
+      var config = new Config;
+      config.brokerUrl = 'fake';
+      var b = new Broker(config, new FakeTransport({
+        status: Broker.CODE.OK,
+        statusText: 'OK',
+        body: '{"Status":"client match","Offer":"fake offer","Shiny":true}'
+      }));
+      b.getClientOffer('id', 0).then(function(resp) {
+        expect(resp.Shiny).toBe(true);
+        done();
+      });
+    });
+
+    describe('rejects with a classified error', function() {
+
+      var expectError = function(transport, kind, done) {
+        var config = new Config;
+        config.brokerUrl = 'fake';
+        var b = new Broker(config, transport);
+        b.getClientOffer().then(function() {
+          fail('should not fulfill');
+          done();
+        }, function(err) {
+          expect(err instanceof BrokerError).toBe(true);
+          expect(err.kind).toBe(kind);
+          done();
+        });
+      };
+
+      it('on 4xx', function(done) {
+        expectError(new FakeTransport({
+          status: Broker.CODE.BAD_REQUEST,
+          statusText: 'Bad Request',
+          body: ''
+        }), BrokerError.KIND.CLIENT, done);
+      });
+
+      it('on 5xx', function(done) {
+        expectError(new FakeTransport({
+          status: Broker.CODE.INTERNAL_SERVER_ERROR,
+          statusText: 'Internal Server Error',
+          body: ''
+        }), BrokerError.KIND.SERVER, done);
+      });
+
+      it('on any other HTTP status', function(done) {
+        expectError(new FakeTransport({
+          status: 1337,
+          statusText: 'Leet',
+          body: ''
+        }), BrokerError.KIND.SERVER, done);
+      });
+
+      it('on malformed JSON', function(done) {
+        expectError(new FakeTransport({
+          status: Broker.CODE.OK,
+          statusText: 'OK',
+          body: '{"Status":'
+        }), BrokerError.KIND.MALFORMED, done);
+      });
+
+      it('on a response that does not match the schema', function(done) {
+        expectError(new FakeTransport({
+          status: Broker.CODE.OK,
+          statusText: 'OK',
+          body: '{"Status":"client match"}'
+        }), BrokerError.KIND.MALFORMED, done);
+      });
+
+      it('on unexpected Status', function(done) {
+        expectError(new FakeTransport({
+          status: Broker.CODE.OK,
+          statusText: 'OK',
+          body: '{"Status":"what"}'
+        }), BrokerError.KIND.STATUS, done);
+      });
+
+      it('when the broker can\'t be reached', function(done) {
+        expectError(
+          new FakeTransport(HttpTransport.ERROR.NETWORK),
+          BrokerError.KIND.NETWORK,
+          done
+        );
+      });
+
+    });
+
+    it('rejects when the request is cancelled', function(done) {
+      var config = new Config;
+      config.brokerUrl = 'fake';
+      var b = new Broker(config, new FakeTransport(HttpTransport.ERROR.ABORTED));
+      b.getClientOffer().then(function() {
+        fail('should not fulfill when cancelled');
+        done();
       }, function(err) {
-        expect(err).toBe(Broker.MESSAGE.UNEXPECTED);
-        expect(b._xhr.status).toBe(1337);
-        return done();
+        expect(err).toBe(Broker.MESSAGE.ABORTED);
+        done();
+      });
+    });
+
+    it('cancels the requests of the polls in flight on abortPolls', function(done) {
+      var config = new Config;
+      config.brokerUrl = 'fake';
+      var transport = new FakeTransport();
+      transport.post = function(url, payload, timeout, signal) {
+        return new Promise(function(resolve, reject) {
+          signal.addEventListener('abort', function() {
+            reject(HttpTransport.ERROR.ABORTED);
+          });
+        });
+      };
+      var b = new Broker(config, transport);
+      b.getClientOffer('a').then(function() {
+        fail('should not fulfill when aborted');
+        done();
+      }, function(err) {
+        expect(err).toBe(Broker.MESSAGE.ABORTED);
+        expect(b.pendingPolls.size).toBe(0);
+        done();
       });
+      b.abortPolls();
+    });
 
+    it('still hands over a match that was too far along to cancel', function(done) {
+      var config = new Config;
+      config.brokerUrl = 'fake';
+      var transport = new FakeTransport({
+        status: Broker.CODE.OK,
+        statusText: 'OK',
+        body: '{"Status":"client match","Offer":"fake offer","NAT":"unknown"}'
+      });
+      var b = new Broker(config, transport);
+      b.getClientOffer('a').then(function(resp) {
+        expect(resp.Offer).toBe('fake offer');
+        expect(b.sessionEndpoints.has('a')).toBe(true);
+        done();
+      }, function() {
+        fail('should not drop the match');
+        done();
+      });
+      b.abortPolls();
     });
 
   });
@@ -109,23 +257,189 @@ describe('Broker', function() {
   it('responds to the broker with answer', function() {
     var config = new Config;
     config.brokerUrl = 'fake';
-    var b = new Broker(config);
-    spyOn(b, '_postRequest');
+    var b = new Broker(config, new FakeTransport({
+      status: Broker.CODE.OK,
+      statusText: 'OK',
+      body: ''
+    }));
+    spyOn(b, '_postRequest').and.callThrough();
     b.sendAnswer('fake id', 123);
-    expect(b._postRequest).toHaveBeenCalledWith(jasmine.any(Object), 'answer', '{"Version":"1.0","Sid":"fake id","Answer":"123"}');
+    expect(b._postRequest).toHaveBeenCalledWith(b.endpoints[0], 'answer', '{"Version":"1.0","Sid":"fake id","Answer":"123"}', config.brokerAnswerTimeout);
+  });
+
+  describe('sendAnswer', function() {
+
+    var config, transport, b;
+    var ok = { status: Broker.CODE.OK, statusText: 'OK', body: '{"Status":"success"}' };
+    var unavailable = { status: 503, statusText: 'Service Unavailable', body: '' };
+
+    // Make the transport reply with `responses` in turn.
+    var replyWith = function(responses) {
+      spyOn(transport, 'post').and.callFake(function() {
+        var response = responses.shift();
+        return typeof response === 'string'
+          ? Promise.reject(response)
+          : Promise.resolve(response);
+      });
+    };
+
+    beforeEach(function() {
+      config = new Config;
+      config.brokerUrl = 'fake';
+      transport = new FakeTransport();
+      b = new Broker(config, transport);
+    });
+
+    it('resolves once the answer is delivered', function(done) {
+      replyWith([ok]);
+      b.sendAnswer('id', { sdp: 'answer' }, Date.now() + 10000).then(function() {
+        expect(transport.post.calls.count()).toBe(1);
+        done();
+      });
+    });
+
+    it('retries once', function(done) {
+      replyWith([unavailable, HttpTransport.ERROR.NETWORK, ok]);
+      b.sendAnswer('id', { sdp: 'answer' }, Date.now() + 10000).then(function() {
+        fail('should not retry more than once');
+        done();
+      }, function(err) {
+        expect(err.kind).toBe(BrokerError.KIND.NETWORK);
+        expect(transport.post.calls.count()).toBe(2);
+        done();
+      });
+    });
+
+    it('does not retry after the client is gone', function(done) {
+      replyWith([unavailable, ok]);
+      b.sendAnswer('id', { sdp: 'answer' }, Date.now() - 1).catch(function(err) {
+        expect(err.kind).toBe(BrokerError.KIND.SERVER);
+        expect(transport.post.calls.count()).toBe(1);
+        done();
+      });
+    });
+
+    it('limits each attempt to what is left of the client\'s timeout', function(done) {
+      replyWith([unavailable, ok]);
+      b.sendAnswer('id', { sdp: 'answer' }, Date.now() + 3000).then(function() {
+        expect(transport.post.calls.count()).toBe(2);
+        transport.post.calls.allArgs().forEach(function(args) {
+          expect(args[2]).not.toBeGreaterThan(3000);
+        });
+        done();
+      });
+    });
+
+    it('rejects when the broker says the client is gone', function(done) {
+      replyWith([{ status: Broker.CODE.OK, statusText: 'OK', body: '{"Status":"client gone"}' }]);
+      b.sendAnswer('id', { sdp: 'answer' }, Date.now() + 10000).catch(function(err) {
+        expect(err).toBe(Broker.MESSAGE.CLIENT_GONE);
+        expect(transport.post.calls.count()).toBe(1);
+        done();
+      });
+    });
+
+  });
+
+  describe('with multiple endpoints', function() {
+
+    var config, transport, b;
+    var unreachable = HttpTransport.ERROR.NETWORK;
+    var match = {
+      status: Broker.CODE.OK,
+      statusText: 'OK',
+      body: '{"Status":"client match","Offer":"fake offer"}'
+    };
+
+    // Poll `n` times in a row, ignoring the outcome.
+    var poll = function(n) {
+      var p = Promise.resolve();
+      for (var i = 0; i < n; i++) {
+        p = p.then(function() {
+          return b.getClientOffer('id').catch(function() {});
+        });
+      }
+      return p;
+    };
+
+    beforeEach(function() {
+      config = new Config;
+      config.brokerUrls = ['primary', 'secondary', 'localhost:8080'];
+      config.brokerFailoverThreshold = 2;
+      transport = new FakeTransport(unreachable);
+      spyOn(transport, 'post').and.callThrough();
+      b = new Broker(config, transport);
+    });
+
+    it('normalises every endpoint and starts with the first one', function() {
+      expect(b.endpoints.map(function(e) { return e.url; })).toEqual([
+        'https://primary/', 'https://secondary/', 'http://localhost:8080/'
+      ]);
+      expect(b.url).toBe('https://primary/');
+    });
+
+    it('fails over after repeated failures', function(done) {
+      poll(2).then(function() {
+        expect(b.url).toBe('https://secondary/');
+        return poll(2);
+      }).then(function() {
+        expect(b.url).toBe('http://localhost:8080/');
+        var endpoints = b.getEndpoints();
+        expect(endpoints[0].failures).toBe(2);
+        expect(endpoints[1].failures).toBe(2);
+        expect(endpoints[2].active).toBe(true);
+        done();
+      });
+    });
+
+    it('keeps the endpoint that works', function(done) {
+      poll(1).then(function() {
+        transport.response = match;
+        return poll(1);
+      }).then(function() {
+        transport.response = unreachable;
+        return poll(1);
+      }).then(function() {
+        expect(b.url).toBe('https://primary/');
+        expect(b.getEndpoints()[0].consecutiveFailures).toBe(1);
+        done();
+      });
+    });
+
+    it('retries the preferred endpoint after a while', function(done) {
+      poll(2).then(function() {
+        expect(b.url).toBe('https://secondary/');
+        b.lastFailoverTime -= config.preferredBrokerRetryInterval;
+        transport.response = match;
+        return poll(1);
+      }).then(function() {
+        expect(transport.post.calls.mostRecent().args[0]).toBe('https://primary/proxy');
+        expect(b.url).toBe('https://primary/');
+        done();
+      });
+    });
+
+    it('sends the answer to the broker the offer came from', function(done) {
+      poll(2).then(function() {
+        transport.response = match;
+        return b.getClientOffer('matched');
+      }).then(function() {
+        b.activeEndpoint = 2;
+        b.sendAnswer('matched', { sdp: 'answer' });
+        expect(transport.post.calls.mostRecent().args[0]).toBe('https://secondary/answer');
+        done();
+      });
+    });
+
   });
 
-  it('POST XMLHttpRequests to the broker', function() {
+  it('cancels requests through the transport', function() {
     var config = new Config;
     config.brokerUrl = 'fake';
-    var b = new Broker(config);
-    b._xhr = new XMLHttpRequest();
-    spyOn(b._xhr, 'open');
-    spyOn(b._xhr, 'setRequestHeader');
-    spyOn(b._xhr, 'send');
-    b._postRequest(b._xhr, 'test', 'data');
-    expect(b._xhr.open).toHaveBeenCalled();
-    expect(b._xhr.send).toHaveBeenCalled();
+    var b = new Broker(config, new FakeTransport());
+    spyOn(b.transport, 'abortAll');
+    b.abortRequests();
+    expect(b.transport.abortAll).toHaveBeenCalled();
   });
 
 });
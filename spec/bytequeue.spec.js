@@ -0,0 +1,52 @@
+/* global expect, it, describe, ByteQueue */
+
+/*
+jasmine tests for the queue of chunks
+*/
+
+describe('ByteQueue', function() {
+
+  it('gives the chunks back in order and counts their bytes', function() {
+    var q = new ByteQueue();
+    var a = new ArrayBuffer(3), b = new ArrayBuffer(5);
+    q.push(a);
+    q.push(b);
+    expect(q.length).toBe(2);
+    expect(q.bytes).toBe(8);
+    expect(q.shift()).toBe(a);
+    expect(q.bytes).toBe(5);
+    expect(q.shift()).toBe(b);
+    expect(q.shift()).toBeUndefined();
+    expect(q.length).toBe(0);
+    expect(q.bytes).toBe(0);
+  });
+
+  it('keeps the order when it wraps around and grows', function() {
+    var q = new ByteQueue();
+    var next = 0, expected = 0;
+    // Leave the head in the middle of the ring, then outgrow it.
+    for (var i = 0; i < ByteQueue.INITIAL_CAPACITY / 2; i++) {
+      q.push(new ArrayBuffer(next++));
+      q.shift();
+      expected++;
+    }
+    for (var j = 0; j < ByteQueue.INITIAL_CAPACITY * 3; j++) {
+      q.push(new ArrayBuffer(next++));
+    }
+    while (q.length > 0) {
+      expect(q.shift().byteLength).toBe(expected++);
+    }
+    expect(expected).toBe(next);
+    expect(q.bytes).toBe(0);
+  });
+
+  it('empties out on clear', function() {
+    var q = new ByteQueue();
+    q.push(new ArrayBuffer(10));
+    q.clear();
+    expect(q.length).toBe(0);
+    expect(q.bytes).toBe(0);
+    expect(q.shift()).toBeUndefined();
+  });
+
+});
@@ -0,0 +1,54 @@
+/* global expect, it, describe, ManualClock */
+
+/*
+jasmine tests for the manual clock
+*/
+
+describe('ManualClock', function() {
+
+  it('runs the timers that come due, in order', function() {
+    var clock = new ManualClock(1000);
+    var ran = [];
+    clock.setTimeout(function() { ran.push('b'); }, 20);
+    clock.setTimeout(function() { ran.push('a'); }, 10);
+    clock.setTimeout(function() { ran.push('c'); }, 30);
+    clock.tick(20);
+    expect(ran).toEqual(['a', 'b']);
+    expect(clock.now()).toBe(1020);
+    clock.tick(10);
+    expect(ran).toEqual(['a', 'b', 'c']);
+    expect(clock.pending()).toBe(0);
+  });
+
+  it('tells the timers what time it is', function() {
+    var clock = new ManualClock();
+    var at;
+    clock.setTimeout(function() { at = clock.now(); }, 10);
+    clock.tick(100);
+    expect(at).toBe(10);
+    expect(clock.now()).toBe(100);
+  });
+
+  it('runs timers set by timers if they come due', function() {
+    var clock = new ManualClock();
+    var count = 0;
+    var again = function() {
+      count++;
+      clock.setTimeout(again, 10);
+    };
+    clock.setTimeout(again, 10);
+    clock.tick(35);
+    expect(count).toBe(3);
+  });
+
+  it('does not run cleared timers', function() {
+    var clock = new ManualClock();
+    var ran = false;
+    var id = clock.setTimeout(function() { ran = true; }, 10);
+    clock.clearTimeout(id);
+    clock.clearTimeout(0);
+    clock.tick(10);
+    expect(ran).toBe(false);
+  });
+
+});
@@ -0,0 +1,49 @@
+/* global expect, it, describe, beforeEach, jasmine, EventEmitter */
+
+/*
+jasmine tests for EventEmitter
+*/
+
+describe('EventEmitter', function() {
+
+  var emitter;
+
+  beforeEach(function() {
+    emitter = new EventEmitter();
+  });
+
+  it('calls listeners with the arguments', function() {
+    var a = jasmine.createSpy('a');
+    var b = jasmine.createSpy('b');
+    emitter.on('foo', a).on('foo', b);
+    emitter.emit('foo', 1, 'two');
+    expect(a).toHaveBeenCalledWith(1, 'two');
+    expect(b).toHaveBeenCalledWith(1, 'two');
+  });
+
+  it('does not call listeners of other events', function() {
+    var a = jasmine.createSpy('a');
+    emitter.on('foo', a);
+    emitter.emit('bar');
+    expect(a).not.toHaveBeenCalled();
+  });
+
+  it('stops calling removed listeners', function() {
+    var a = jasmine.createSpy('a');
+    emitter.on('foo', a);
+    emitter.off('foo', a);
+    emitter.emit('foo');
+    expect(a).not.toHaveBeenCalled();
+  });
+
+  it('keeps calling listeners after one throws', function() {
+    var a = jasmine.createSpy('a');
+    emitter.on('foo', function() {
+      throw new Error('oops');
+    });
+    emitter.on('foo', a);
+    emitter.emit('foo');
+    expect(a).toHaveBeenCalled();
+  });
+
+});
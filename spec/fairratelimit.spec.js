@@ -0,0 +1,85 @@
+/* global expect, it, describe, beforeEach, FairRateLimit, BucketRateLimit, ManualClock */
+
+/*
+jasmine tests for sharing a rate limit fairly
+*/
+
+describe('FairRateLimit', function() {
+
+  var RATE = 100 * 1024;
+  var clock, fair;
+
+  beforeEach(function() {
+    clock = new ManualClock();
+    fair = new FairRateLimit(new BucketRateLimit(RATE * 5, 5, clock), 16 * 1024);
+  });
+
+  // A pair that always has more to send, in chunks of `chunkSize`, flushing
+  // like `ProxyPair.flush`. Once `blocked`, it stops asking, as a pair does
+  // while its send buffer is full.
+  var flow = function(share, chunkSize) {
+    var f = { sent: 0, blocked: false };
+    var flush = function() {
+      if (f.blocked) {
+        share.idle();
+        return;
+      }
+      while (!share.isLimited()) {
+        share.update(chunkSize);
+        f.sent += chunkSize;
+      }
+      f.timeoutId = clock.setTimeout(flush, share.when() * 1000);
+    };
+    flush();
+    return f;
+  };
+
+  it('lets a share on its own use the whole limit', function() {
+    var a = flow(fair.share(), 16 * 1024);
+    clock.tick(60 * 1000);
+    clock.clearTimeout(a.timeoutId);
+    // The rate over the minute, and the initial burst.
+    expect(a.sent).toBeGreaterThan(0.95 * RATE * 65);
+    expect(a.sent).toBeLessThan(1.05 * RATE * 65);
+  });
+
+  it('gives two shares about half each', function() {
+    // The first one would get to go first every time.
+    var a = flow(fair.share(), 16 * 1024);
+    var b = flow(fair.share(), 1024);
+    clock.tick(60 * 1000);
+    clock.clearTimeout(a.timeoutId);
+    clock.clearTimeout(b.timeoutId);
+    var total = a.sent + b.sent;
+    expect(total).toBeGreaterThan(0.95 * RATE * 65);
+    expect(a.sent / total).toBeGreaterThan(0.45);
+    expect(b.sent / total).toBeGreaterThan(0.45);
+  });
+
+  it('doesn\'t let a share that stopped asking hold up the others', function() {
+    var aShare = fair.share();
+    var a = flow(aShare, 1000);
+    var b = flow(fair.share(), 1000);
+    clock.tick(10 * 1000);
+    a.blocked = true;
+    clock.tick(1000);
+    var before = b.sent;
+    clock.tick(60 * 1000);
+    clock.clearTimeout(b.timeoutId);
+    expect(b.sent - before).toBeGreaterThan(0.95 * RATE * 60);
+  });
+
+  it('gives the whole limit back once a share is released', function() {
+    var aShare = fair.share();
+    var a = flow(aShare, 16 * 1024);
+    var b = flow(fair.share(), 16 * 1024);
+    clock.tick(10 * 1000);
+    clock.clearTimeout(a.timeoutId);
+    aShare.release();
+    var before = b.sent;
+    clock.tick(60 * 1000);
+    clock.clearTimeout(b.timeoutId);
+    expect(b.sent - before).toBeGreaterThan(0.95 * RATE * 60);
+  });
+
+});
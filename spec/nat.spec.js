@@ -0,0 +1,125 @@
+/* global expect, it, describe, beforeEach, Config, NATState, ManualClock, Logger */
+
+/*
+jasmine tests for NATState
+*/
+
+describe('NATState', function() {
+
+  var config, stored, store;
+
+  beforeEach(function() {
+    config = new Config;
+    config.natCheckInterval = 1000;
+    config.clock = new ManualClock(10000);
+    stored = undefined;
+    store = {
+      get: function() {
+        return Promise.resolve(stored);
+      },
+      set: function(state) {
+        stored = JSON.parse(JSON.stringify(state));
+        return Promise.resolve();
+      }
+    };
+  });
+
+  it('starts out unknown and stale', function() {
+    var nat = new NATState(config, store);
+    expect(nat.natType).toBe('unknown');
+    expect(nat.isFresh()).toBe(false);
+  });
+
+  it('goes stale natCheckInterval after a probe', function() {
+    var nat = new NATState(config, store);
+    nat.setProbeResult('unrestricted');
+    expect(nat.natType).toBe('unrestricted');
+    config.clock.tick(999);
+    expect(nat.isFresh()).toBe(true);
+    expect(nat.timeUntilStale()).toBe(1);
+    config.clock.tick(1);
+    expect(nat.isFresh()).toBe(false);
+  });
+
+  it('learns that it is restricted after failing with restricted clients', function() {
+    var nat = new NATState(config, store);
+    nat.setProbeResult('unrestricted');
+    expect(nat.onFailedToConnect('restricted')).toBe(false);
+    expect(nat.onFailedToConnect('unrestricted')).toBe(false);
+    expect(nat.onFailedToConnect('restricted')).toBe(false);
+    expect(nat.onFailedToConnect('restricted')).toBe(true);
+    expect(nat.natType).toBe('restricted');
+    expect(nat.probeResult).toBe('unrestricted');
+  });
+
+  it('starts counting failures over after a success', function() {
+    var nat = new NATState(config, store);
+    nat.onFailedToConnect('restricted');
+    nat.onFailedToConnect('restricted');
+    nat.onConnected();
+    expect(nat.failures).toBe(0);
+    expect(nat.onFailedToConnect('restricted')).toBe(false);
+  });
+
+  it('forgets what it learned on a new probe', function() {
+    var nat = new NATState(config, store);
+    nat.onFailedToConnect('restricted');
+    nat.onFailedToConnect('restricted');
+    nat.onFailedToConnect('restricted');
+    nat.setProbeResult('unrestricted');
+    expect(nat.natType).toBe('unrestricted');
+  });
+
+  it('survives a restart', function(done) {
+    var nat = new NATState(config, store);
+    nat.setProbeResult('unrestricted');
+    nat.onFailedToConnect('restricted');
+    nat.onFailedToConnect('restricted');
+    nat.onFailedToConnect('restricted');
+    config.clock.tick(500);
+    var restarted = new NATState(config, store);
+    restarted.load().then(function() {
+      expect(restarted.natType).toBe('restricted');
+      expect(restarted.isFresh()).toBe(true);
+      expect(restarted.timeUntilStale()).toBe(500);
+      done();
+    });
+  });
+
+  it('falls back to the defaults when the store can\'t be read', function(done) {
+    var write = jasmine.createSpy('write');
+    store.get = function() {
+      return Promise.reject(new SyntaxError('Unexpected end of JSON input'));
+    };
+    var nat = new NATState(config, store, new Logger(write));
+    nat.load().then(function() {
+      expect(nat.natType).toBe('unknown');
+      expect(nat.isFresh()).toBe(false);
+      expect(write).toHaveBeenCalled();
+      done();
+    });
+  });
+
+  it('ignores stored fields that don\'t make sense', function(done) {
+    stored = { probeResult: 'unrestricted', downgraded: 'yes', failures: 'many' };
+    var nat = new NATState(config, store);
+    nat.load().then(function() {
+      expect(nat.natType).toBe('unknown');
+      expect(nat.isFresh()).toBe(false);
+      expect(nat.failures).toBe(0);
+      expect(nat.onFailedToConnect('restricted')).toBe(false);
+      expect(nat.failures).toBe(1);
+      done();
+    });
+  });
+
+  it('works without a store', function(done) {
+    var nat = new NATState(config);
+    nat.setProbeResult('restricted');
+    nat.load().then(function() {
+      expect(nat.natType).toBe('restricted');
+      done();
+    });
+  });
+
+});
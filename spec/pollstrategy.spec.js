@@ -0,0 +1,113 @@
+/* global expect, it, describe, beforeEach, Config, PollStrategy, AdaptivePollStrategy, FixedPollStrategy, AimdPollStrategy, ManualClock */
+
+/*
+jasmine tests for the broker poll strategies
+*/
+
+describe('PollStrategy', function() {
+
+  var config;
+
+  beforeEach(function() {
+    config = new Config;
+    config.defaultBrokerPollInterval = 60 * 1000;
+    config.fastBrokerPollInterval = 30 * 1000;
+    config.slowestBrokerPollInterval = 10 * 60 * 1000;
+    config.pollAdjustment = 10 * 1000;
+    config.clock = new ManualClock;
+  });
+
+  it('is chosen by the config', function() {
+    expect(PollStrategy.fromConfig(config) instanceof AdaptivePollStrategy).toBe(true);
+    config.pollStrategy = PollStrategy.KIND.FIXED;
+    expect(PollStrategy.fromConfig(config) instanceof FixedPollStrategy).toBe(true);
+    config.pollStrategy = PollStrategy.KIND.AIMD;
+    expect(PollStrategy.fromConfig(config) instanceof AimdPollStrategy).toBe(true);
+    config.pollStrategy = 'nope';
+    expect(function() {
+      PollStrategy.fromConfig(config);
+    }).toThrow();
+  });
+
+  describe('adaptive', function() {
+
+    var strategy;
+
+    beforeEach(function() {
+      strategy = new AdaptivePollStrategy(config);
+    });
+
+    it('slows down on failures, up to the slowest interval', function() {
+      strategy.onFailedToConnect('unknown');
+      expect(strategy.interval).toBe(70 * 1000);
+      for (var i = 0; i < 100; i++) {
+        strategy.onFailedToConnect('unknown');
+      }
+      expect(strategy.interval).toBe(config.slowestBrokerPollInterval);
+    });
+
+    it('speeds up on success, down to the default interval', function() {
+      strategy.onFailedToConnect('unknown');
+      strategy.onFailedToConnect('unknown');
+      strategy.onConnected('restricted');
+      expect(strategy.interval).toBe(70 * 1000);
+      strategy.onConnected('restricted');
+      strategy.onConnected('restricted');
+      expect(strategy.interval).toBe(config.defaultBrokerPollInterval);
+    });
+
+    it('goes fast without a restricted NAT', function() {
+      strategy.onFailedToConnect('unrestricted');
+      strategy.onConnected('unrestricted');
+      expect(strategy.interval).toBe(config.fastBrokerPollInterval);
+    });
+
+  });
+
+  it('fixed never changes', function() {
+    var strategy = new FixedPollStrategy(config);
+    strategy.onFailedToConnect('unknown');
+    strategy.onConnected('unrestricted');
+    expect(strategy.interval).toBe(config.defaultBrokerPollInterval);
+  });
+
+  describe('AIMD', function() {
+
+    var strategy;
+
+    beforeEach(function() {
+      config.pollSuccessTarget = 0.5;
+      config.pollSuccessWindow = 60 * 1000;
+      strategy = new AimdPollStrategy(config);
+    });
+
+    it('backs off multiplicatively while clients fail', function() {
+      strategy.onFailedToConnect();
+      expect(strategy.interval).toBe(120 * 1000);
+      strategy.onFailedToConnect();
+      expect(strategy.interval).toBe(240 * 1000);
+    });
+
+    it('speeds up additively while clients connect', function() {
+      strategy.onConnected();
+      expect(strategy.interval).toBe(50 * 1000);
+      strategy.onConnected();
+      strategy.onConnected();
+      strategy.onConnected();
+      expect(strategy.interval).toBe(config.fastBrokerPollInterval);
+    });
+
+    it('only counts results within the window', function() {
+      strategy.onFailedToConnect();
+      strategy.onFailedToConnect();
+      expect(strategy.successRate).toBe(0);
+      config.clock.tick(61 * 1000);
+      expect(isNaN(strategy.successRate)).toBe(true);
+      strategy.onConnected();
+      expect(strategy.successRate).toBe(1);
+      expect(strategy.interval).toBe(230 * 1000);
+    });
+
+  });
+
+});
@@ -0,0 +1,98 @@
+/* global module, require */
+
+/*
+A stand-in for the probe test server, for testing the NAT checks without
+reaching the real one.
+
+It takes the offer like the real one does (see `Util.sendOffer`) and replies
+with whatever answer the `answer` callback makes of it.
+
+Run it on its own, with `node spec/probetest.js [port]`, to point a proxy's
+`probeUrl` at it. It then answers with a real WebRTC peer, which needs `wrtc`.
+*/
+
+var http = require('http');
+
+/**
+ * @param {(offer: Object) => Promise<Object>} answer given the offer, the
+ * session description to answer with.
+ * @param {number} [port] a free one by default.
+ * @returns {Promise<{ url: string, offers: Object[], close: () => Promise<void> }>}
+ */
+function startProbetest(answer, port) {
+  var offers = [];
+  var server = http.createServer(function(req, res) {
+    var body = '';
+    req.on('data', function(chunk) { body += chunk; });
+    req.on('end', function() {
+      var offer;
+      try {
+        var request = JSON.parse(body);
+        if (request.Status !== 'client match') {
+          throw new Error('unexpected status');
+        }
+        offer = JSON.parse(request.Offer);
+      } catch (e) {
+        res.writeHead(400);
+        res.end();
+        return;
+      }
+      offers.push(offer);
+      Promise.resolve(answer(offer)).then(function(sdp) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ Answer: JSON.stringify(sdp) }));
+      }, function() {
+        res.writeHead(500);
+        res.end();
+      });
+    });
+  });
+  return new Promise(function(resolve) {
+    server.listen(port || 0, '127.0.0.1', function() {
+      resolve({
+        url: 'http://127.0.0.1:' + server.address().port + '/probe',
+        offers: offers,
+        close: function() {
+          return new Promise(function(r) { server.close(r); });
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Answer like the real probe test server, and keep the data channel open
+ * for a while so that the proxy sees it.
+ */
+function answerWithWebRTC(offer) {
+  var wrtc = require('wrtc');
+  var pc = new wrtc.RTCPeerConnection();
+  pc.ondatachannel = function() {
+    setTimeout(function() { pc.close(); }, 5000);
+  };
+  return pc.setRemoteDescription(offer)
+  .then(function() { return pc.createAnswer(); })
+  .then(function(sdp) { return pc.setLocalDescription(sdp); })
+  .then(function() {
+    return new Promise(function(resolve) {
+      if (pc.iceGatheringState === 'complete') {
+        resolve(pc.localDescription);
+        return;
+      }
+      pc.onicecandidate = function(evt) {
+        if (evt.candidate === null) {
+          resolve(pc.localDescription);
+        }
+      };
+    });
+  });
+}
+
+if (require.main === module) {
+  startProbetest(answerWithWebRTC, Number(process.argv[2]) || 8443)
+  .then(function(probetest) {
+    console.log('Probe test stand-in at ' + probetest.url);
+  });
+}
+
+module.exports = { startProbetest: startProbetest };
@@ -0,0 +1,94 @@
+/* global expect, it, describe, Protocol, ProtocolError, BrokerError, Config */
+
+/*
+jasmine tests for the broker poll protocol
+*/
+
+describe('Protocol', function() {
+
+  var fields = {
+    Sid: 'id',
+    Type: 'testing',
+    NAT: 'unknown',
+    Clients: 0,
+    AcceptedRelayPattern: 'snowflake.torproject.net',
+    Extra: 'not sent'
+  };
+
+  it('is offered in every version by default', function() {
+    var config = new Config;
+    expect(config.pollProtocolVersions).toBe(Protocol.POLL_VERSIONS);
+    config.pollProtocolVersions = ['1.0'];
+    expect(config.pollProtocolVersions).toEqual(['1.0']);
+    expect(new Config().pollProtocolVersions).toBe(Protocol.POLL_VERSIONS);
+  });
+
+  describe('encodePollRequest', function() {
+
+    it('includes only the fields of the requested version', function() {
+      expect(JSON.parse(Protocol.encodePollRequest('1.0', fields))).toEqual({
+        Version: '1.0',
+        Sid: 'id',
+        Type: 'testing'
+      });
+      expect(JSON.parse(Protocol.encodePollRequest('1.3', fields))).toEqual({
+        Version: '1.3',
+        Sid: 'id',
+        Type: 'testing',
+        NAT: 'unknown',
+        Clients: 0,
+        AcceptedRelayPattern: 'snowflake.torproject.net'
+      });
+    });
+
+    it('refuses unknown versions', function() {
+      expect(function() { Protocol.encodePollRequest('0.1', fields); }).toThrow();
+    });
+
+  });
+
+  describe('decodePollResponse', function() {
+
+    var expectProtocolError = function(version, body, field) {
+      try {
+        Protocol.decodePollResponse(version, body);
+      } catch (e) {
+        expect(e instanceof ProtocolError).toBe(true);
+        expect(e instanceof BrokerError).toBe(true);
+        expect(e.kind).toBe(BrokerError.KIND.MALFORMED);
+        expect(e.field).toBe(field);
+        return;
+      }
+      fail('should throw on ' + body);
+    };
+
+    it('accepts valid responses', function() {
+      var decoded = Protocol.decodePollResponse('1.3',
+        '{"Status":"client match","Offer":"offer","NAT":"restricted","RelayURL":"wss://snowflake.torproject.net/"}');
+      expect(decoded.response.Offer).toBe('offer');
+      expect(decoded.unknownFields).toEqual([]);
+      decoded = Protocol.decodePollResponse('1.3', '{"Status":"no match"}');
+      expect(decoded.response.Status).toBe('no match');
+    });
+
+    it('keeps and reports unknown fields', function() {
+      var decoded = Protocol.decodePollResponse('1.0',
+        '{"Status":"client match","Offer":"offer","NAT":"restricted"}');
+      expect(decoded.response.NAT).toBe('restricted');
+      expect(decoded.unknownFields).toEqual(['NAT']);
+    });
+
+    it('rejects malformed responses', function() {
+      expectProtocolError('1.3', '{"Status":', undefined);
+      expectProtocolError('1.3', '[]', undefined);
+      expectProtocolError('1.3', 'null', undefined);
+      expectProtocolError('1.3', '{}', 'Status');
+      expectProtocolError('1.3', '{"Status":1}', 'Status');
+      expectProtocolError('1.3', '{"Status":"client match"}', 'Offer');
+      expectProtocolError('1.3', '{"Status":"client match","Offer":{}}', 'Offer');
+      expectProtocolError('1.3', '{"Status":"client match","Offer":"offer","RelayURL":7}', 'RelayURL');
+    });
+
+  });
+
+});
@@ -1,4 +1,4 @@
-/* global expect, it, describe, spyOn */
+/* global expect, it, describe, spyOn, ManualClock */
 
 /*
 jasmine tests for Snowflake proxypair
@@ -37,7 +37,10 @@ var arrayMatching = function(sample) {
 describe('ProxyPair', function() {
 
   var config, destination, pp, rateLimit;
-  rateLimit = new DummyRateLimit;
+  rateLimit = {
+    [ProxyPair.DIRECTION.CLIENT_TO_RELAY]: new DummyRateLimit,
+    [ProxyPair.DIRECTION.RELAY_TO_CLIENT]: new DummyRateLimit
+  };
   config = new Config;
   config.defaultRelayAddr = 'wss://0.0.0.0:12345';
   destination = [];
@@ -92,6 +95,170 @@ describe('ProxyPair', function() {
     expect(snowflake.broker.sendAnswer).toHaveBeenCalled();
   });
 
+  it('closes right away when the answer can\'t be delivered', function(done) {
+    var pair = new ProxyPair(rateLimit, config);
+    pair.begin();
+    spyOn(pair, 'close').and.callFake(function(reason) {
+      expect(reason).toBe(ProxyPair.CLOSE_REASON.ANSWER_UNDELIVERED);
+      done();
+    });
+    pair.receiveWebRTCOffer(
+      {
+        type: 'offer',
+        sdp: 'foo'
+      },
+      function() {
+        return Promise.reject(Broker.MESSAGE.CLIENT_GONE);
+      }
+    );
+    pair.pc.iceGatheringState = 'complete';
+    pair.pc.onicegatheringstatechange();
+  });
+
+  it('announces that it closed, once, with the reason', function() {
+    var pair = new ProxyPair(rateLimit, config);
+    var onClose = jasmine.createSpy('onClose');
+    pair.begin();
+    pair.on(ProxyPair.EVENT.CLOSE, onClose);
+    pair.close(ProxyPair.CLOSE_REASON.CLIENT_CLOSED);
+    pair.close(ProxyPair.CLOSE_REASON.RELAY_CLOSED);
+    expect(onClose.calls.count()).toBe(1);
+    expect(onClose.calls.argsFor(0)[0]).toBe(ProxyPair.CLOSE_REASON.CLIENT_CLOSED);
+  });
+
+  it('goes through its states in order', function(done) {
+    var pair = new ProxyPair(rateLimit, config);
+    pair.begin();
+    expect(pair.state).toBe(ProxyPair.STATE.CREATED);
+    pair.receiveWebRTCOffer({ type: 'offer', sdp: 'foo' }, function() {
+      expect(pair.state).toBe(ProxyPair.STATE.ANSWERING);
+      return Promise.resolve();
+    });
+    expect(pair.state).toBe(ProxyPair.STATE.OFFER_RECEIVED);
+    pair.pc.iceGatheringState = 'complete';
+    pair.pc.onicegatheringstatechange();
+    setTimeout(function() {
+      expect(pair.state).toBe(ProxyPair.STATE.AWAITING_CHANNEL);
+      pair.pc.ondatachannel({ channel: { close: function() {} } });
+      spyOn(pair, 'connectRelay');
+      pair.client.onopen();
+      expect(pair.state).toBe(ProxyPair.STATE.RELAYING);
+      pair.close(ProxyPair.CLOSE_REASON.CLIENT_CLOSED);
+      expect(pair.state).toBe(ProxyPair.STATE.CLOSED);
+      expect(pair.closed).toBe(true);
+      // Too late for that.
+      pair.client.onopen();
+      expect(pair.state).toBe(ProxyPair.STATE.CLOSED);
+      done();
+    });
+  });
+
+  it('gives up on a relay that takes too long to connect', function() {
+    var c = new Config;
+    c.clock = new ManualClock;
+    c.defaultRelayAddr = 'wss://0.0.0.0:12345';
+    var pair = new ProxyPair(rateLimit, c);
+    pair.begin();
+    pair.pc.ondatachannel({ channel: { close: function() {} } });
+    pair.client.onopen();
+    pair.relay.close = function() {};
+    c.clock.tick(5000);
+    expect(pair.closeReason).toBe(ProxyPair.CLOSE_REASON.RELAY_TIMEOUT);
+  });
+
+  describe('watches the peer connection', function() {
+
+    var c, pair;
+
+    beforeEach(function() {
+      c = new Config;
+      c.clock = new ManualClock;
+      pair = new ProxyPair(rateLimit, c);
+      pair.begin();
+    });
+
+    it('closes right away when it fails', function() {
+      pair.pc.connectionState = 'failed';
+      pair.pc.onconnectionstatechange();
+      expect(pair.closeReason).toBe(ProxyPair.CLOSE_REASON.CONNECTION_FAILED);
+      expect(pair.summary().connectionStates).toEqual([
+        { type: 'connection', state: 'failed', time: 0 }
+      ]);
+    });
+
+    it('gives it a while to come back once disconnected', function() {
+      pair.pc.iceConnectionState = 'disconnected';
+      pair.pc.oniceconnectionstatechange();
+      c.clock.tick(c.disconnectGracePeriod - 1);
+      pair.pc.iceConnectionState = 'connected';
+      pair.pc.oniceconnectionstatechange();
+      c.clock.tick(c.disconnectGracePeriod);
+      expect(pair.closed).toBe(false);
+      pair.pc.iceConnectionState = 'disconnected';
+      pair.pc.oniceconnectionstatechange();
+      c.clock.tick(c.disconnectGracePeriod);
+      expect(pair.closeReason).toBe(ProxyPair.CLOSE_REASON.DISCONNECTED);
+      expect(pair.connectionStates.map(change => change.state)).toEqual([
+        'disconnected', 'connected', 'disconnected'
+      ]);
+    });
+
+  });
+
+  it('sums up what it did when it closes', function(done) {
+    var clock = new ManualClock(1000);
+    var c = new Config;
+    c.clock = clock;
+    c.defaultRelayAddr = 'wss://0.0.0.0:12345';
+    var pair = new ProxyPair(rateLimit, c);
+    var onClose = jasmine.createSpy('onClose');
+    pair.on(ProxyPair.EVENT.CLOSE, onClose);
+    pair.begin();
+    clock.tick(5000);
+    pair.receiveWebRTCOffer({ type: 'offer', sdp: 'foo' }, function() {
+      clock.tick(100);
+      return Promise.resolve();
+    });
+    pair.pc.iceGatheringState = 'complete';
+    pair.pc.onicegatheringstatechange();
+    setTimeout(function() {
+      clock.tick(300);
+      pair.pc.ondatachannel({
+        channel: { bufferedAmount: 0, readyState: 'open', send: function() {}, close: function() {} }
+      });
+      pair.client.onopen();
+      pair.relay.close = function() {};
+      clock.tick(50);
+      pair.relay.onopen();
+      pair.onClientToRelayMessage(new MessageEvent("message", {
+        data: Uint8Array.from([1, 2, 3]).buffer
+      }));
+      pair.onRelayToClientMessage(new MessageEvent("message", {
+        data: Uint8Array.from([4, 5]).buffer
+      }));
+      pair.onRelayToClientMessage(new MessageEvent("message", {
+        data: Uint8Array.from([6]).buffer
+      }));
+      clock.tick(1000);
+      pair.close(ProxyPair.CLOSE_REASON.CLIENT_CLOSED);
+      expect(onClose).toHaveBeenCalledWith(ProxyPair.CLOSE_REASON.CLIENT_CLOSED, jasmine.objectContaining({
+        id: pair.id,
+        closeReason: ProxyPair.CLOSE_REASON.CLIENT_CLOSED,
+        connected: true,
+        clientToRelayBytes: 3,
+        relayToClientBytes: 3,
+        clientToRelayMessages: 1,
+        relayToClientMessages: 2,
+        timeToAnswer: 100,
+        timeToChannelOpen: 400,
+        timeToRelayOpen: 50,
+        lifetime: 6450,
+        closedAt: 7450
+      }));
+      done();
+    });
+  });
+
   it('handles a new data channel correctly', function() {
     expect(pp.client).toBeNull();
     pp.pc.ondatachannel({
@@ -154,6 +321,42 @@ describe('ProxyPair', function() {
       expect(pp.relay.send).not.toHaveBeenCalled();
     });
 
+    it('counts the bytes it passes on', function() {
+      var onBytes = jasmine.createSpy('onBytes');
+      pp.on(ProxyPair.EVENT.BYTES, onBytes);
+      pp.onRelayToClientMessage(new MessageEvent("message", {
+        data: Uint8Array.from([4, 5, 6]).buffer
+      }));
+      pp.flush();
+      pp.off(ProxyPair.EVENT.BYTES, onBytes);
+      expect(onBytes).toHaveBeenCalledWith(3, ProxyPair.DIRECTION.RELAY_TO_CLIENT);
+    });
+
+    it('holds back only the direction that is over its limit', function() {
+      var limited = new DummyRateLimit;
+      limited.isLimited = function() { return true; };
+      limited.when = function() { return 1; };
+      pp.rateLimits = {
+        [ProxyPair.DIRECTION.CLIENT_TO_RELAY]: limited,
+        [ProxyPair.DIRECTION.RELAY_TO_CLIENT]: new DummyRateLimit
+      };
+      spyOn(pp.client, 'send');
+      spyOn(pp.relay, 'send');
+      pp.onClientToRelayMessage(new MessageEvent("message", {
+        data: Uint8Array.from([1, 2, 3]).buffer
+      }));
+      pp.onRelayToClientMessage(new MessageEvent("message", {
+        data: Uint8Array.from([4, 5, 6]).buffer
+      }));
+      expect(pp.client.send).toHaveBeenCalledWith(arrayMatching([4, 5, 6]));
+      expect(pp.relay.send).not.toHaveBeenCalled();
+      expect(pp.flush_timeout_id).not.toBeNull();
+      clearTimeout(pp.flush_timeout_id);
+      pp.flush_timeout_id = null;
+      pp.c2rSchedule.clear();
+      pp.rateLimits = rateLimit;
+    });
+
     it('sends nothing with nothing to flush', function() {
       spyOn(pp.client, 'send');
       spyOn(pp.relay, 'send');
@@ -164,6 +367,149 @@ describe('ProxyPair', function() {
 
   });
 
+  describe('waits for full send buffers to drain', function() {
+
+    var clock, pair;
+
+    beforeEach(function() {
+      var c = new Config;
+      clock = new ManualClock;
+      c.clock = clock;
+      c.defaultRelayAddr = 'wss://0.0.0.0:12345';
+      pair = new ProxyPair(rateLimit, c);
+      pair.begin();
+      pair.pc.ondatachannel({
+        channel: { bufferedAmount: 0, readyState: 'open', send: function() {}, close: function() {} }
+      });
+      pair.client.onopen();
+      pair.relay.close = function() {};
+      pair.relay.onopen();
+      spyOn(pair.client, 'send');
+      spyOn(pair.relay, 'send');
+    });
+
+    it('sends to the client once its buffer runs low, without polling', function() {
+      var timers = clock.pending();
+      pair.client.bufferedAmount = pair.MAX_BUFFER;
+      pair.onRelayToClientMessage(new MessageEvent("message", {
+        data: Uint8Array.from([4, 5, 6]).buffer
+      }));
+      expect(pair.client.send).not.toHaveBeenCalled();
+      expect(clock.pending()).toBe(timers);
+      expect(pair.client.bufferedAmountLowThreshold).toBe(pair.BUFFER_LOW);
+      pair.client.bufferedAmount = pair.BUFFER_LOW;
+      pair.client.onbufferedamountlow();
+      expect(pair.client.send).toHaveBeenCalledWith(arrayMatching([4, 5, 6]));
+    });
+
+    it('doesn\'t hold up other clients while the client\'s buffer is full', function() {
+      var share = new FairRateLimit(new BucketRateLimit(1000, 1, clock), 100).share();
+      share.waiting = true;
+      pair.rateLimits = {
+        [ProxyPair.DIRECTION.CLIENT_TO_RELAY]: share,
+        [ProxyPair.DIRECTION.RELAY_TO_CLIENT]: share
+      };
+      pair.client.bufferedAmount = pair.MAX_BUFFER;
+      pair.onRelayToClientMessage(new MessageEvent("message", {
+        data: Uint8Array.from([4, 5, 6]).buffer
+      }));
+      expect(share.waiting).toBe(false);
+    });
+
+    it('sends to the relay once a send empties its buffer', function() {
+      var sent = [];
+      pair.relay.on = function() {};
+      pair.relay.send.and.callFake(function(chunk, cb) {
+        sent.push(cb);
+      });
+      var timers = clock.pending();
+      pair.onClientToRelayMessage(new MessageEvent("message", {
+        data: Uint8Array.from([1, 2, 3]).buffer
+      }));
+      pair.relay.bufferedAmount = pair.MAX_BUFFER;
+      pair.onClientToRelayMessage(new MessageEvent("message", {
+        data: Uint8Array.from([4, 5, 6]).buffer
+      }));
+      expect(sent.length).toBe(1);
+      expect(clock.pending()).toBe(timers);
+      pair.relay.bufferedAmount = pair.BUFFER_LOW;
+      sent[0]();
+      expect(pair.relay.send).toHaveBeenCalledWith(arrayMatching([4, 5, 6]), jasmine.any(Function));
+    });
+
+    it('checks on the relay\'s buffer where sends aren\'t reported', function() {
+      pair.relay.bufferedAmount = pair.MAX_BUFFER;
+      pair.onClientToRelayMessage(new MessageEvent("message", {
+        data: Uint8Array.from([1, 2, 3]).buffer
+      }));
+      clock.tick(pair.RELAY_DRAIN_INTERVAL);
+      expect(pair.relay.send).not.toHaveBeenCalled();
+      pair.relay.bufferedAmount = pair.BUFFER_LOW;
+      clock.tick(pair.RELAY_DRAIN_INTERVAL);
+      expect(pair.relay.send).toHaveBeenCalledWith(arrayMatching([1, 2, 3]));
+      pair.close();
+      expect(clock.pending()).toBe(0);
+    });
+
+    it('stops reading while too much is queued', function() {
+      pair.MAX_QUEUE = 4;
+      pair.client.bufferedAmount = pair.MAX_BUFFER;
+      pair.onRelayToClientMessage(new MessageEvent("message", {
+        data: Uint8Array.from([1, 2, 3]).buffer
+      }));
+      pair.onRelayToClientMessage(new MessageEvent("message", {
+        data: Uint8Array.from([4, 5]).buffer
+      }));
+      expect(pair.readingPaused[ProxyPair.DIRECTION.RELAY_TO_CLIENT]).toBe(true);
+      spyOn(pair, 'flush');
+      pair.onRelayToClientMessage(new MessageEvent("message", {
+        data: Uint8Array.from([6]).buffer
+      }));
+      expect(pair.flush).not.toHaveBeenCalled();
+      pair.flush.and.callThrough();
+      pair.client.bufferedAmount = 0;
+      pair.client.onbufferedamountlow();
+      expect(pair.client.send.calls.count()).toBe(3);
+      expect(pair.readingPaused[ProxyPair.DIRECTION.RELAY_TO_CLIENT]).toBe(false);
+    });
+
+    it('pauses the relay\'s socket while too much is queued', function() {
+      pair.MAX_QUEUE = 4;
+      pair.relay._socket = {
+        pause: jasmine.createSpy('pause'),
+        resume: jasmine.createSpy('resume')
+      };
+      pair.client.bufferedAmount = pair.MAX_BUFFER;
+      pair.onRelayToClientMessage(new MessageEvent("message", {
+        data: Uint8Array.from([1, 2, 3, 4, 5]).buffer
+      }));
+      expect(pair.relay._socket.pause).toHaveBeenCalled();
+      // What was already on its way still comes in, and doesn't close the pair.
+      pair.onRelayToClientMessage(new MessageEvent("message", {
+        data: Uint8Array.from([6, 7, 8, 9]).buffer
+      }));
+      expect(pair.closed).toBe(false);
+      expect(pair.relay._socket.resume).not.toHaveBeenCalled();
+      pair.client.bufferedAmount = 0;
+      pair.client.onbufferedamountlow();
+      expect(pair.relay._socket.resume).toHaveBeenCalled();
+    });
+
+    it('caps what a source that can\'t be paused has queued', function() {
+      pair.MAX_QUEUE = 4;
+      pair.client.bufferedAmount = pair.MAX_BUFFER;
+      pair.onRelayToClientMessage(new MessageEvent("message", {
+        data: Uint8Array.from([1, 2, 3, 4, 5]).buffer
+      }));
+      expect(pair.closed).toBe(false);
+      pair.onRelayToClientMessage(new MessageEvent("message", {
+        data: Uint8Array.from([6, 7, 8, 9]).buffer
+      }));
+      expect(pair.closed).toBe(true);
+    });
+
+  });
+
 });
 
 // TODO: rate limit tests
@@ -0,0 +1,123 @@
+/* global expect, it, describe, beforeEach, Config, Quota, ManualClock, Logger */
+
+/*
+jasmine tests for the bandwidth quota
+*/
+
+describe('Quota', function() {
+
+  var config, stored, store;
+
+  beforeEach(function() {
+    config = new Config;
+    config.dailyQuotaBytes = 1000;
+    config.monthlyQuotaBytes = 5000;
+    // January 31st 2024, 23:00 local time.
+    config.clock = new ManualClock(new Date(2024, 0, 31, 23).getTime());
+    stored = undefined;
+    store = {
+      get: function() {
+        return Promise.resolve(stored);
+      },
+      set: function(usage) {
+        stored = JSON.parse(JSON.stringify(usage));
+        return Promise.resolve();
+      }
+    };
+  });
+
+  it('is exceeded once the daily quota is used up', function() {
+    var quota = new Quota(config, store);
+    quota.add(999);
+    expect(quota.isExceeded()).toBe(false);
+    expect(quota.timeUntilReset()).toBe(0);
+    quota.add(1);
+    expect(quota.isExceeded()).toBe(true);
+    expect(quota.timeUntilReset()).toBe(60 * 60 * 1000);
+  });
+
+  it('starts a new day at midnight', function() {
+    var quota = new Quota(config, store);
+    quota.add(1000);
+    config.clock.time = new Date(2024, 1, 1).getTime();
+    expect(quota.isExceeded()).toBe(false);
+    expect(quota.usage().dayBytes).toBe(0);
+  });
+
+  it('waits for the next month once the monthly quota is used up', function() {
+    config.dailyQuotaBytes = undefined;
+    config.clock.time = new Date(2024, 0, 30, 12).getTime();
+    var quota = new Quota(config, store);
+    quota.add(5000);
+    expect(quota.isExceeded()).toBe(true);
+    expect(quota.timeUntilReset()).toBe(36 * 60 * 60 * 1000);
+    config.clock.time = new Date(2024, 1, 1).getTime();
+    expect(quota.isExceeded()).toBe(false);
+    expect(quota.usage().monthBytes).toBe(0);
+  });
+
+  it('is never exceeded without a quota', function() {
+    config.dailyQuotaBytes = undefined;
+    config.monthlyQuotaBytes = undefined;
+    var quota = new Quota(config, store);
+    quota.add(1e12);
+    expect(quota.isExceeded()).toBe(false);
+  });
+
+  it('saves now and then', function() {
+    var quota = new Quota(config, store);
+    quota.add(100);
+    quota.add(200);
+    expect(stored).toBeUndefined();
+    config.clock.tick(Quota.SAVE_INTERVAL);
+    expect(stored.dayBytes).toBe(300);
+    expect(stored.monthBytes).toBe(300);
+  });
+
+  it('adds up what was saved for the same period', function(done) {
+    stored = { day: '2024-01-31', dayBytes: 100, month: '2024-01', monthBytes: 4000 };
+    var quota = new Quota(config, store);
+    quota.add(50);
+    quota.load().then(function() {
+      var usage = quota.usage();
+      expect(usage.dayBytes).toBe(150);
+      expect(usage.monthBytes).toBe(4050);
+      done();
+    });
+  });
+
+  it('drops what was saved for earlier periods', function(done) {
+    stored = { day: '2024-01-30', dayBytes: 100, month: '2023-12', monthBytes: 4000 };
+    var quota = new Quota(config, store);
+    quota.load().then(function() {
+      expect(quota.usage().dayBytes).toBe(0);
+      expect(quota.usage().monthBytes).toBe(0);
+      done();
+    });
+  });
+
+  it('starts from nothing when the store can\'t be read', function(done) {
+    var write = jasmine.createSpy('write');
+    store.get = function() {
+      return Promise.reject(new SyntaxError('Unexpected end of JSON input'));
+    };
+    var quota = new Quota(config, store, new Logger(write));
+    quota.add(50);
+    quota.load().then(function() {
+      expect(quota.usage().dayBytes).toBe(50);
+      expect(write).toHaveBeenCalled();
+      done();
+    });
+  });
+
+  it('ignores saved totals that aren\'t byte counts', function(done) {
+    stored = { day: '2024-01-31', dayBytes: 'lots', month: '2024-01', monthBytes: -1 };
+    var quota = new Quota(config, store);
+    quota.load().then(function() {
+      expect(quota.usage().dayBytes).toBe(0);
+      expect(quota.usage().monthBytes).toBe(0);
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,104 @@
+/* global expect, it, describe, RelayPattern, Config */
+
+/*
+jasmine tests for relay patterns
+*/
+
+describe('RelayPattern', function() {
+
+  describe('matches', function() {
+
+    it('matches a domain and its subdomains', function() {
+      expect(RelayPattern.matches('snowflake.torproject.net', 'snowflake.torproject.net')).toBe(true);
+      expect(RelayPattern.matches('snowflake.torproject.net', '01.snowflake.torproject.net')).toBe(true);
+      expect(RelayPattern.matches('snowflake.torproject.net', 'a.b.snowflake.torproject.net')).toBe(true);
+      expect(RelayPattern.matches('snowflake.torproject.net', 'torproject.net')).toBe(false);
+    });
+
+    it('only matches on label boundaries', function() {
+      expect(RelayPattern.matches('snowflake.torproject.net', 'evilsnowflake.torproject.net')).toBe(false);
+      expect(RelayPattern.matches('snowflake.torproject.net', 'snowflake.torproject.net.evil.com')).toBe(false);
+      expect(RelayPattern.matches('^snowflake.torproject.net', 'evilsnowflake.torproject.net')).toBe(false);
+    });
+
+    it('matches only the domain itself with ^', function() {
+      expect(RelayPattern.matches('^snowflake.torproject.net', 'snowflake.torproject.net')).toBe(true);
+      expect(RelayPattern.matches('^snowflake.torproject.net', '01.snowflake.torproject.net')).toBe(false);
+    });
+
+    it('ignores case and stray dots', function() {
+      expect(RelayPattern.matches('.Snowflake.TorProject.net', 'snowflake.torproject.net.')).toBe(true);
+    });
+
+    it('rejects bad input', function() {
+      expect(function() {
+        RelayPattern.matches(null, 'snowflake.torproject.net');
+      }).toThrow();
+      expect(function() {
+        RelayPattern.matches('snowflake.torproject.net', undefined);
+      }).toThrow();
+    });
+
+  });
+
+  it('matches any of a list', function() {
+    var patterns = ['snowflake.torproject.net', '^relay.example.org'];
+    expect(RelayPattern.matchesAny(patterns, '01.snowflake.torproject.net')).toBe(true);
+    expect(RelayPattern.matchesAny(patterns, 'relay.example.org')).toBe(true);
+    expect(RelayPattern.matchesAny(patterns, 'other.example.org')).toBe(false);
+    expect(RelayPattern.matchesAny([], 'relay.example.org')).toBe(false);
+  });
+
+  describe('forBroker', function() {
+
+    it('passes a single pattern on as is', function() {
+      expect(RelayPattern.forBroker(['snowflake.torproject.net'])).toBe('snowflake.torproject.net');
+      expect(RelayPattern.forBroker(['^snowflake.torproject.net'])).toBe('^snowflake.torproject.net');
+    });
+
+    it('gives the common domain suffix of several', function() {
+      expect(RelayPattern.forBroker(['a.snowflake.torproject.net', '^b.snowflake.torproject.net']))
+      .toBe('snowflake.torproject.net');
+      expect(RelayPattern.forBroker(['snowflake.torproject.net', 'ssnowflake.torproject.net']))
+      .toBe('torproject.net');
+      expect(RelayPattern.forBroker(['^relay.example.org', '^relay.example.org']))
+      .toBe('^relay.example.org');
+    });
+
+    it('falls back to the first pattern without a common suffix', function() {
+      expect(RelayPattern.forBroker(['^snowflake.torproject.net', 'relay.example.org']))
+      .toBe('^snowflake.torproject.net');
+      expect(RelayPattern.forBroker(['relay.example.org', 'snowflake.torproject.net']))
+      .toBe('relay.example.org');
+      // A top-level domain is no better.
+      expect(RelayPattern.forBroker(['relay.example.org', 'relay.example2.org']))
+      .toBe('relay.example.org');
+    });
+
+  });
+
+  describe('fromConfig', function() {
+
+    it('takes the allowed patterns', function() {
+      var config = new Config;
+      config.allowedRelayPatterns = ['a.example.org', 'b.example.org'];
+      expect(RelayPattern.fromConfig(config)).toEqual(['a.example.org', 'b.example.org']);
+    });
+
+    it('still takes a single pattern set the old way', function() {
+      var config = new Config;
+      config.allowedRelayPattern = '^relay.example.org';
+      expect(RelayPattern.fromConfig(config)).toEqual(['^relay.example.org']);
+      expect(RelayPattern.fromConfig(new Config)).toEqual(['snowflake.torproject.net']);
+    });
+
+    it('falls back to the defaults without any patterns', function() {
+      var config = new Config;
+      config.allowedRelayPatterns = [];
+      expect(RelayPattern.fromConfig(config)).toEqual(['snowflake.torproject.net']);
+      expect(RelayPattern.forBroker(RelayPattern.fromConfig(config))).toBe('snowflake.torproject.net');
+    });
+
+  });
+
+});
@@ -0,0 +1,152 @@
+/* global expect, it, describe, beforeAll, afterAll, pending, require, Rendezvous, DirectRendezvous, DomainFrontingRendezvous, AmpCacheRendezvous, HttpTransport, NodeHttpTransport, Broker, BrokerError */
+
+/*
+jasmine tests for the broker rendezvous methods, against a local stand-in
+HTTP server.
+*/
+
+describe('Rendezvous', function() {
+
+  var MATCH = '{"Status":"client match","Offer":"fake offer"}';
+
+  var server, serverUrl, requests;
+  // What the stand-in server replies with, given the request.
+  var respond;
+
+  beforeAll(function(done) {
+    if (typeof fetch === 'undefined') {
+      return done();
+    }
+    server = require('http').createServer(function(req, res) {
+      var body = '';
+      req.on('data', function(chunk) { body += chunk; });
+      req.on('end', function() {
+        var request = { method: req.method, url: req.url, headers: req.headers, body: body };
+        requests.push(request);
+        var reply = respond(request);
+        res.writeHead(reply.status);
+        res.end(reply.body);
+      });
+    });
+    server.listen(0, '127.0.0.1', function() {
+      serverUrl = 'http://127.0.0.1:' + server.address().port + '/';
+      done();
+    });
+  });
+
+  afterAll(function(done) {
+    if (server) {
+      server.close(done);
+    } else {
+      done();
+    }
+  });
+
+  var makeBroker = function(props, transport) {
+    if (typeof fetch === 'undefined') {
+      pending('fetch is not available');
+    }
+    requests = [];
+    var config = new Config;
+    Object.assign(config, props);
+    return new Broker(config, transport || new HttpTransport());
+  };
+
+  it('is picked according to the config', function() {
+    var config = new Config;
+    var transport = new HttpTransport();
+    expect(Rendezvous.fromConfig(config, transport) instanceof DirectRendezvous).toBe(true);
+    config.rendezvousMethod = 'domain-fronting';
+    expect(Rendezvous.fromConfig(config, new NodeHttpTransport()) instanceof DomainFrontingRendezvous).toBe(true);
+    // `fetch` can't set the Host header.
+    expect(function() { Rendezvous.fromConfig(config, transport); }).toThrow();
+    config.rendezvousMethod = 'amp-cache';
+    expect(Rendezvous.fromConfig(config, transport) instanceof AmpCacheRendezvous).toBe(true);
+    config.rendezvousMethod = 'carrier-pigeon';
+    expect(function() { Rendezvous.fromConfig(config, transport); }).toThrow();
+  });
+
+  it('POSTs directly to the broker', function(done) {
+    var b = makeBroker({ brokerUrl: serverUrl });
+    respond = function() { return { status: 200, body: MATCH }; };
+    b.getClientOffer('id', 0).then(function(resp) {
+      expect(resp.Offer).toBe('fake offer');
+      expect(requests.length).toBe(1);
+      expect(requests[0].method).toBe('POST');
+      expect(requests[0].url).toBe('/proxy');
+      expect(JSON.parse(requests[0].body).Sid).toBe('id');
+      done();
+    });
+  });
+
+  it('POSTs to the front, naming the broker in the Host header', function(done) {
+    var b = makeBroker({
+      brokerUrl: 'broker.invalid',
+      rendezvousMethod: 'domain-fronting',
+      brokerFront: serverUrl,
+    }, new NodeHttpTransport());
+    respond = function() { return { status: 200, body: MATCH }; };
+    b.getClientOffer('id', 0).then(function(resp) {
+      expect(resp.Offer).toBe('fake offer');
+      expect(requests[0].method).toBe('POST');
+      expect(requests[0].url).toBe('/proxy');
+      expect(requests[0].headers.host).toBe('broker.invalid');
+      expect(JSON.parse(requests[0].body).Sid).toBe('id');
+      done();
+    });
+  });
+
+  it('GETs through an AMP cache', function(done) {
+    var b = makeBroker({
+      brokerUrl: 'broker.example',
+      rendezvousMethod: 'amp-cache',
+      ampCacheUrl: serverUrl,
+    });
+    respond = function(req) {
+      var m = /^\/c\/s\/broker\.example\/amp\/proxy\/0[\w-]+\/([\w-]+)$/.exec(req.url);
+      if (!m) {
+        return { status: 404, body: '' };
+      }
+      var payload = Buffer.from(m[1], 'base64').toString();
+      expect(JSON.parse(payload).Sid).toBe('id');
+      var encoded = Buffer.from(MATCH).toString('base64');
+      return {
+        status: 200,
+        body: '<!doctype html><html amp><body><pre>\n'
+          + encoded.slice(0, 20) + '\n' + encoded.slice(20) + '\n</pre></body></html>'
+      };
+    };
+    b.getClientOffer('id', 0).then(function(resp) {
+      expect(resp.Offer).toBe('fake offer');
+      expect(requests[0].method).toBe('GET');
+      done();
+    }, function(err) {
+      fail(err);
+      done();
+    });
+  });
+
+  it('rejects AMP pages without data as malformed', function(done) {
+    var b = makeBroker({
+      brokerUrl: 'broker.example',
+      rendezvousMethod: 'amp-cache',
+      ampCacheUrl: serverUrl,
+    });
+    respond = function() { return { status: 200, body: '<html amp></html>' }; };
+    b.getClientOffer('id', 0).then(function() {
+      fail('should not fulfill');
+      done();
+    }, function(err) {
+      expect(err.kind).toBe(BrokerError.KIND.MALFORMED);
+      done();
+    });
+  });
+
+  it('addresses the broker\'s subdomain of a real AMP cache', function() {
+    var r = new AmpCacheRendezvous(new HttpTransport(), 'https://cdn.ampproject.org/');
+    expect(r.cacheURLFor('https://snowflake-broker.freehaven.net/')).toBe(
+      'https://snowflake--broker-freehaven-net.cdn.ampproject.org/c/s/snowflake-broker.freehaven.net/'
+    );
+  });
+
+});
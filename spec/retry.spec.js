@@ -0,0 +1,50 @@
+/* global expect, it, describe, beforeEach, RetryPolicy, BrokerError, Broker */
+
+/*
+jasmine tests for the broker retry policy
+*/
+
+describe('RetryPolicy', function() {
+
+  var config, policy, error;
+
+  beforeEach(function() {
+    config = new Config;
+    config.maxBrokerBackoff = 60 * 1000;
+    policy = new RetryPolicy(config);
+    error = new BrokerError(BrokerError.KIND.SERVER, Broker.MESSAGE.HTTP, 503);
+  });
+
+  it('does not delay polls while the broker is fine', function() {
+    expect(policy.nextDelay(1000)).toBe(1000);
+  });
+
+  it('backs off exponentially with jitter', function() {
+    policy.onFailure(error);
+    var delay = policy.nextDelay(1000);
+    expect(delay).not.toBeLessThan(1000);
+    expect(delay).not.toBeGreaterThan(2000);
+    policy.onFailure(error);
+    policy.onFailure(error);
+    delay = policy.nextDelay(1000);
+    expect(delay).not.toBeLessThan(4000);
+    expect(delay).not.toBeGreaterThan(8000);
+    expect(policy.lastError).toBe(error);
+  });
+
+  it('caps the backoff', function() {
+    for (var i = 0; i < 20; i++) {
+      policy.onFailure(error);
+    }
+    expect(policy.nextDelay(1000)).not.toBeGreaterThan(config.maxBrokerBackoff);
+  });
+
+  it('resets on success', function() {
+    policy.onFailure(error);
+    policy.onSuccess();
+    expect(policy.failures).toBe(0);
+    expect(policy.lastError).toBeNull();
+    expect(policy.nextDelay(1000)).toBe(1000);
+  });
+
+});
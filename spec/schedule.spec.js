@@ -0,0 +1,96 @@
+/* global expect, it, describe, Schedule, ManualClock */
+
+/*
+jasmine tests for the weekly schedule
+*/
+
+describe('Schedule', function() {
+
+  // Monday, January 1st 2024, local time.
+  var at = function(date, hours, minutes) {
+    return new Date(2024, 0, date, hours, minutes || 0);
+  };
+
+  var HOUR = 60;
+
+  var clock = new ManualClock;
+
+  // `s` as of `date`.
+  var on = function(date, s) {
+    clock.time = date.getTime();
+    return s || schedule;
+  };
+
+  // Mondays from 18:00 to 20:00, Fridays from 18:00 to Saturday 08:00.
+  var schedule = new Schedule([
+    { day: 1, start: 18 * HOUR, end: 20 * HOUR },
+    { day: 5, start: 18 * HOUR, end: 8 * HOUR },
+  ], clock);
+
+  describe('isActive', function() {
+
+    it('is active within a window', function() {
+      expect(on(at(1, 18)).isActive()).toBe(true);
+      expect(on(at(1, 19, 59)).isActive()).toBe(true);
+      expect(on(at(1, 17, 59)).isActive()).toBe(false);
+      expect(on(at(1, 20)).isActive()).toBe(false);
+      expect(on(at(2, 19)).isActive()).toBe(false);
+    });
+
+    it('runs a window into the next day', function() {
+      expect(on(at(5, 23)).isActive()).toBe(true);
+      expect(on(at(6, 7, 59)).isActive()).toBe(true);
+      expect(on(at(6, 8)).isActive()).toBe(false);
+    });
+
+    it('runs Saturday\'s window into Sunday', function() {
+      var s = new Schedule([{ day: 6, start: 22 * HOUR, end: 2 * HOUR }], clock);
+      expect(on(at(6, 23), s).isActive()).toBe(true);
+      expect(on(at(7, 1), s).isActive()).toBe(true);
+      expect(on(at(7, 2), s).isActive()).toBe(false);
+    });
+
+    it('takes a window that ends when it starts to last a whole day', function() {
+      var s = new Schedule([{ day: 0, start: 0, end: 0 }], clock);
+      expect(on(at(7, 0), s).isActive()).toBe(true);
+      expect(on(at(7, 23, 59), s).isActive()).toBe(true);
+      expect(on(at(8, 0), s).isActive()).toBe(false);
+    });
+
+  });
+
+  describe('nextChange', function() {
+
+    it('is the next start or end', function() {
+      expect(on(at(1, 12)).nextChange()).toEqual(at(1, 18));
+      expect(on(at(1, 18)).nextChange()).toEqual(at(1, 20));
+      expect(on(at(1, 20)).nextChange()).toEqual(at(5, 18));
+      expect(on(at(5, 20)).nextChange()).toEqual(at(6, 8));
+    });
+
+    it('wraps around the week', function() {
+      expect(on(at(6, 9)).nextChange()).toEqual(at(8, 18));
+    });
+
+    it('rounds down to the minute', function() {
+      var date = at(1, 12);
+      date.setSeconds(30);
+      expect(on(date).nextChange()).toEqual(at(1, 18));
+    });
+
+    it('is null without windows', function() {
+      expect(on(at(1, 12), new Schedule([], clock)).nextChange()).toBeNull();
+    });
+
+  });
+
+  describe('nextStart', function() {
+
+    it('skips over ends', function() {
+      expect(on(at(1, 19)).nextStart()).toEqual(at(5, 18));
+      expect(on(at(6, 7)).nextStart()).toEqual(at(8, 18));
+    });
+
+  });
+
+});
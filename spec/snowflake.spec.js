@@ -1,4 +1,4 @@
-/* global expect, it, describe, spyOn, Snowflake, Config, UI */
+/* global expect, it, describe, beforeEach, afterEach, spyOn, Snowflake, Config, UI, ManualClock */
 
 /*
 jasmine tests for Snowflake
@@ -16,6 +16,7 @@ class RTCPeerConnection {
     return Promise.resolve();
   }
   send() {}
+  close() {}
 }
 
 class RTCSessionDescription {}
@@ -45,6 +46,11 @@ class FakeBroker {
   setNATType(natType) {
   }
   sendAnswer() {}
+  abortRequests() {}
+  abortPolls() {}
+  getEndpoints() {
+    return [];
+  }
 }
 
 describe('Snowflake', function() {
@@ -52,12 +58,64 @@ describe('Snowflake', function() {
   it('constructs correctly', function() {
     var s;
     s = new Snowflake(config, ui, new FakeBroker());
-    expect(s.rateLimit).not.toBeNull();
+    expect(s.rateLimits).not.toBeNull();
     expect(s.broker).toEqual(new FakeBroker());
     expect(s.ui).not.toBeNull();
     expect(s.retries).toBe(0);
   });
 
+  it('shares the rate limit between directions by default', function() {
+    var c = new Config();
+    c.rateLimitBytes = 1000;
+    var s = new Snowflake(c, ui, new FakeBroker());
+    var c2r = s.rateLimits[ProxyPair.DIRECTION.CLIENT_TO_RELAY];
+    expect(c2r).toBe(s.rateLimits[ProxyPair.DIRECTION.RELAY_TO_CLIENT]);
+    expect(c2r.limit.capacity).toBe(1000 * c.rateLimitHistory);
+    var pair = s.makeProxyPair();
+    expect(pair.rateLimits[ProxyPair.DIRECTION.CLIENT_TO_RELAY])
+      .toBe(pair.rateLimits[ProxyPair.DIRECTION.RELAY_TO_CLIENT]);
+  });
+
+  it('limits each direction on its own when asked to', function() {
+    var c = new Config();
+    c.rateLimitBytes = 1000;
+    c.clientToRelayRateLimitBytes = 200;
+    var s = new Snowflake(c, ui, new FakeBroker());
+    var c2r = s.rateLimits[ProxyPair.DIRECTION.CLIENT_TO_RELAY];
+    var r2c = s.rateLimits[ProxyPair.DIRECTION.RELAY_TO_CLIENT];
+    expect(c2r.limit.capacity).toBe(200 * c.rateLimitHistory);
+    expect(r2c.limit.capacity).toBe(1000 * c.rateLimitHistory);
+  });
+
+  it('keeps the rate limits unless their settings change', function() {
+    var c = new Config();
+    c.rateLimitBytes = 1000;
+    var s = new Snowflake(c, ui, new FakeBroker());
+    var fair = s.rateLimits[ProxyPair.DIRECTION.CLIENT_TO_RELAY];
+    c.schedule = [{ day: 1, start: 0, end: 60 }];
+    s.updateRateLimits();
+    expect(s.rateLimits[ProxyPair.DIRECTION.CLIENT_TO_RELAY]).toBe(fair);
+    c.rateLimitBytes = 2000;
+    s.updateRateLimits();
+    expect(s.rateLimits[ProxyPair.DIRECTION.CLIENT_TO_RELAY].limit.capacity)
+      .toBe(2000 * c.rateLimitHistory);
+  });
+
+  it('gives every pair its own share of the rate limits', function() {
+    var c = new Config();
+    c.rateLimitBytes = 1000;
+    var s = new Snowflake(c, ui, new FakeBroker());
+    var fair = s.rateLimits[ProxyPair.DIRECTION.CLIENT_TO_RELAY];
+    var a = s.makeProxyPair();
+    var b = s.makeProxyPair();
+    var share = a.rateLimits[ProxyPair.DIRECTION.CLIENT_TO_RELAY];
+    expect(share).not.toBe(b.rateLimits[ProxyPair.DIRECTION.CLIENT_TO_RELAY]);
+    expect(fair.shares.size).toBe(2);
+    a.close();
+    expect(fair.shares.has(share)).toBe(false);
+    s.disable();
+  });
+
   it('initalizes WebRTC connection', function() {
     var s;
     s = new Snowflake(config, ui, new FakeBroker());
@@ -67,6 +125,386 @@ describe('Snowflake', function() {
     expect(s.broker.getClientOffer).toHaveBeenCalled();
   });
 
+  it('keeps a poll in flight for every free client slot', function() {
+    var broker, c, s;
+    c = new Config();
+    c.maxNumClients = 2;
+    broker = new FakeBroker();
+    spyOn(broker, 'getClientOffer').and.callThrough();
+    s = new Snowflake(c, ui, broker);
+    s.beginServingClients();
+    expect(broker.getClientOffer).toHaveBeenCalledTimes(2);
+    var ids = broker.getClientOffer.calls.allArgs().map(args => args[0]);
+    expect(ids[0]).not.toEqual(ids[1]);
+    expect(s.proxyPairs.length).toBe(2);
+    // At capacity, the next tick doesn't poll.
+    s.beginServingClients();
+    expect(broker.getClientOffer).toHaveBeenCalledTimes(2);
+    s.disable();
+  });
+
+  it('polls again as soon as a client leaves', function() {
+    var broker, c, s;
+    c = new Config();
+    c.maxNumClients = 2;
+    broker = new FakeBroker();
+    spyOn(broker, 'getClientOffer').and.callThrough();
+    s = new Snowflake(c, ui, broker);
+    s.beginServingClients();
+    var pair = s.proxyPairs[0];
+    pair.nowConnected = true;
+    pair.wasConnected = true;
+    s.proxyPairs[1].nowConnected = true;
+    expect(s.numClientsConnected()).toBe(2);
+    pair.close();
+    expect(broker.getClientOffer).toHaveBeenCalledTimes(3);
+    // Only the client still connected counts as load.
+    expect(broker.getClientOffer.calls.mostRecent().args[1]).toBe(1);
+    s.disable();
+  });
+
+  it('keeps the UI\'s client count from pair events', function() {
+    var s, u, pair;
+    u = new UI();
+    s = new Snowflake(new Config(), u, new FakeBroker());
+    pair = s.makeProxyPair();
+    pair.pc.ondatachannel({ channel: {} });
+    spyOn(pair, 'connectRelay');
+    pair.client.onopen();
+    expect(u.clients).toBe(1);
+    pair.close();
+    pair.close();
+    expect(u.clients).toBe(0);
+    expect(s.proxyPairs.length).toBe(0);
+  });
+
+  it('remembers the latest clients', function() {
+    var c = new Config();
+    c.pairHistorySize = 2;
+    var s = new Snowflake(c, new UI(), new FakeBroker());
+    var ids = [];
+    for (var i = 0; i < 3; i++) {
+      var pair = s.makeProxyPair();
+      pair.times.offer = 0;
+      ids.push(pair.id);
+      pair.close();
+    }
+    // One that never got a client.
+    s.makeProxyPair().close();
+    var current = s.makeProxyPair();
+    current.times.offer = 0;
+    expect(s.getHistory().map(record => record.id)).toEqual([ids[1], ids[2], current.id]);
+    s.disable();
+  });
+
+  it('closes the pair holding the most data once too much is waiting', function() {
+    var c = new Config();
+    c.maxNumClients = 3;
+    c.maxQueuedBytes = 100;
+    var s = new Snowflake(c, new UI(), new FakeBroker());
+    var a = s.makeProxyPair(), b = s.makeProxyPair(), d = s.makeProxyPair();
+    a.onRelayToClientMessage({ data: new ArrayBuffer(30) });
+    b.onRelayToClientMessage({ data: new ArrayBuffer(60) });
+    expect(s.proxyPairs.length).toBe(3);
+    d.onRelayToClientMessage({ data: new ArrayBuffer(20) });
+    expect(s.proxyPairs).toEqual([a, d]);
+    expect(b.closeReason).toBe(ProxyPair.CLOSE_REASON.QUEUE_FULL);
+    expect(b.queuedBytes()).toBe(0);
+    s.disable();
+  });
+
+  it('counts why pairs were closed', function() {
+    var s = new Snowflake(new Config(), new UI(), new FakeBroker());
+    s.makeProxyPair().close(ProxyPair.CLOSE_REASON.STALE);
+    s.makeProxyPair().close(ProxyPair.CLOSE_REASON.STALE);
+    s.makeProxyPair();
+    s.disable();
+    expect(s.getCloseReasons()).toEqual({
+      [ProxyPair.CLOSE_REASON.STALE]: 2,
+      [ProxyPair.CLOSE_REASON.DISABLED]: 1
+    });
+  });
+
+  it('re-emits pair events with the pair', function() {
+    var s, pair, onOpen;
+    s = new Snowflake(new Config(), new UI(), new FakeBroker());
+    onOpen = jasmine.createSpy('onOpen');
+    s.on(Snowflake.EVENT.RELAY_OPEN, onOpen);
+    pair = s.makeProxyPair();
+    pair.emit(ProxyPair.EVENT.RELAY_OPEN);
+    expect(onOpen).toHaveBeenCalledWith(pair);
+  });
+
+  it('runs side by side with another instance', function() {
+    var aLog = [], bLog = [];
+    var aConfig = new Config('a'), bConfig = new Config('b');
+    var a = new Snowflake(aConfig, new UI(), new FakeBroker(),
+      new Logger(function(msg) { aLog.push(msg); }));
+    var b = new Snowflake(bConfig, new UI(), new FakeBroker(),
+      new Logger(function(msg) { bLog.push(msg); }));
+    var pair = a.makeProxyPair();
+    b.disable();
+    expect(pair.config).toBe(aConfig);
+    expect(pair.logger).toBe(a.logger);
+    expect(aLog.length).toBeGreaterThan(0);
+    expect(aLog).not.toContain('Disabling Snowflake.');
+    expect(bLog).toContain('Disabling Snowflake.');
+  });
+
+  describe('when turned off', function() {
+
+    var broker, s, pair;
+
+    beforeEach(function() {
+      var c = new Config();
+      c.maxNumClients = 2;
+      c.drainTimeout = 1000;
+      broker = new FakeBroker();
+      spyOn(broker, 'getClientOffer').and.callThrough();
+      spyOn(broker, 'abortPolls');
+      s = new Snowflake(c, new UI(), broker);
+      s.beginServingClients();
+      pair = s.proxyPairs[0];
+      pair.nowConnected = true;
+      pair.wasConnected = true;
+      jasmine.clock().install();
+    });
+
+    afterEach(function() {
+      s.disable();
+      jasmine.clock().uninstall();
+    });
+
+    it('answers a client that the broker matched us with just after pausing', function(done) {
+      var match;
+      broker.getClientOffer.and.returnValue(new Promise(function(resolve) {
+        match = resolve;
+      }));
+      spyOn(s, 'receiveOffer').and.returnValue(true);
+      s.pollBroker();
+      var late = s.proxyPairs[s.proxyPairs.length - 1];
+      s.pause();
+      match({ Offer: 'fake offer', NAT: 'unknown' });
+      jasmine.clock().uninstall();
+      setTimeout(function() {
+        jasmine.clock().install();
+        expect(s.receiveOffer).toHaveBeenCalledWith(late, 'fake offer', undefined);
+        expect(late.closed).toBe(false);
+        done();
+      });
+    });
+
+    it('stops polling but keeps its clients when paused', function() {
+      s.pause();
+      expect(s.state).toBe(Snowflake.STATE.PAUSED);
+      expect(broker.abortPolls).toHaveBeenCalled();
+      expect(s.proxyPairs).toContain(pair);
+      jasmine.clock().tick(s.pollStrategy.interval);
+      expect(broker.getClientOffer).toHaveBeenCalledTimes(2);
+      // Nor does a client leaving make room for another one.
+      pair.close();
+      expect(broker.getClientOffer).toHaveBeenCalledTimes(2);
+      s.beginServingClients();
+      expect(s.state).toBe(Snowflake.STATE.SERVING);
+      expect(broker.getClientOffer).toHaveBeenCalledTimes(3);
+    });
+
+    it('turns off once the last client leaves when draining', function() {
+      var onState = jasmine.createSpy('onState');
+      s.on(Snowflake.EVENT.STATE, onState);
+      s.drain();
+      expect(onState).toHaveBeenCalledWith(Snowflake.STATE.DRAINING);
+      expect(s.proxyPairs).toContain(pair);
+      pair.close();
+      expect(onState).toHaveBeenCalledWith(Snowflake.STATE.STOPPED);
+      expect(s.proxyPairs.length).toBe(0);
+      expect(broker.getClientOffer).toHaveBeenCalledTimes(2);
+    });
+
+    it('gives up draining after a while', function() {
+      s.drain();
+      jasmine.clock().tick(999);
+      expect(s.state).toBe(Snowflake.STATE.DRAINING);
+      jasmine.clock().tick(1);
+      expect(s.state).toBe(Snowflake.STATE.STOPPED);
+      expect(pair.closed).toBe(true);
+    });
+
+    it('turns off right away without clients to drain', function() {
+      pair.nowConnected = false;
+      s.drain();
+      expect(s.state).toBe(Snowflake.STATE.STOPPED);
+      expect(s.proxyPairs.length).toBe(0);
+    });
+
+  });
+
+  it('stops taking clients until the quota resets', function() {
+    var c = new Config();
+    c.maxNumClients = 2;
+    c.dailyQuotaBytes = 100;
+    c.drainTimeout = 1000;
+    var broker = new FakeBroker();
+    spyOn(broker, 'getClientOffer').and.callThrough();
+    spyOn(broker, 'abortPolls');
+    jasmine.clock().install();
+    jasmine.clock().mockDate(new Date(2024, 0, 1, 23));
+    var s = new Snowflake(c, new UI(), broker);
+    s.beginServingClients();
+    var pair = s.proxyPairs[0];
+    pair.nowConnected = true;
+    pair.wasConnected = true;
+    pair.emit(ProxyPair.EVENT.BYTES, 100, ProxyPair.DIRECTION.RELAY_TO_CLIENT);
+    expect(s.state).toBe(Snowflake.STATE.OVER_QUOTA);
+    expect(broker.abortPolls).toHaveBeenCalled();
+    expect(s.proxyPairs).toContain(pair);
+    // Turning it on again doesn't help.
+    s.beginServingClients();
+    expect(s.state).toBe(Snowflake.STATE.OVER_QUOTA);
+    // The clients we have get some time to finish.
+    jasmine.clock().tick(1000);
+    expect(pair.closed).toBe(true);
+    jasmine.clock().tick(60 * 60 * 1000 - 1000);
+    expect(s.state).toBe(Snowflake.STATE.SERVING);
+    expect(broker.getClientOffer).toHaveBeenCalledTimes(4);
+    s.disable();
+    jasmine.clock().uninstall();
+  });
+
+  it('keeps waiting when the monthly quota runs out during the daily wait', function() {
+    var c = new Config();
+    c.clock = new ManualClock(new Date(2024, 0, 15, 23).getTime());
+    c.dailyQuotaBytes = 100;
+    c.monthlyQuotaBytes = 150;
+    c.drainTimeout = 1000;
+    var s = new Snowflake(c, new UI(), new FakeBroker());
+    s.beginServingClients();
+    var pair = s.proxyPairs[0];
+    pair.nowConnected = true;
+    pair.emit(ProxyPair.EVENT.BYTES, 100, ProxyPair.DIRECTION.RELAY_TO_CLIENT);
+    expect(s.state).toBe(Snowflake.STATE.OVER_QUOTA);
+    // The client we still have uses up the monthly quota too.
+    pair.emit(ProxyPair.EVENT.BYTES, 60, ProxyPair.DIRECTION.RELAY_TO_CLIENT);
+    c.clock.tick(1000);
+    expect(pair.closeReason).toBe(ProxyPair.CLOSE_REASON.OVER_QUOTA);
+    c.clock.tick(60 * 60 * 1000);
+    expect(s.state).toBe(Snowflake.STATE.OVER_QUOTA);
+    c.clock.tick(new Date(2024, 1, 1).getTime() - c.clock.now());
+    expect(s.state).toBe(Snowflake.STATE.SERVING);
+    s.disable();
+  });
+
+  describe('on a manual clock', function() {
+
+    var clock, c, broker, s;
+
+    // Let the promises of a poll settle.
+    var settle = function() {
+      return new Promise(function(resolve) { setTimeout(resolve); });
+    };
+
+    beforeEach(function() {
+      clock = new ManualClock();
+      c = new Config();
+      c.clock = clock;
+      c.maxNumClients = 1;
+      broker = new FakeBroker();
+      spyOn(broker, 'getClientOffer').and.callFake(function() {
+        return Promise.resolve({ Offer: '{"type":"offer","sdp":"foo"}', NAT: 'unrestricted' });
+      });
+      s = new Snowflake(c, new UI(), broker);
+    });
+
+    afterEach(function() {
+      s.disable();
+    });
+
+    it('polls less often while clients fail to connect', function(done) {
+      var slower = c.defaultBrokerPollInterval + c.pollAdjustment;
+      s.beginServingClients();
+      settle().then(function() {
+        expect(broker.getClientOffer).toHaveBeenCalledTimes(1);
+        clock.tick(c.datachannelTimeout);
+        expect(s.proxyPairs.length).toBe(0);
+        expect(s.pollStrategy.interval).toBe(slower);
+        // The poll after that was already on its way.
+        clock.tick(c.defaultBrokerPollInterval - c.datachannelTimeout);
+        expect(broker.getClientOffer).toHaveBeenCalledTimes(2);
+        return settle();
+      }).then(function() {
+        clock.tick(slower - 1);
+        expect(broker.getClientOffer).toHaveBeenCalledTimes(2);
+        expect(s.pollStrategy.interval).toBe(slower + c.pollAdjustment);
+        clock.tick(1);
+        expect(broker.getClientOffer).toHaveBeenCalledTimes(3);
+        done();
+      });
+    });
+
+    it('learns nothing about the NAT from pairs closed for other reasons', function(done) {
+      spyOn(s.natState, 'onFailedToConnect');
+      s.beginServingClients();
+      settle().then(function() {
+        s.disable();
+        clock.tick(c.datachannelTimeout);
+        expect(s.natState.onFailedToConnect).not.toHaveBeenCalled();
+        expect(clock.pending()).toBe(0);
+        done();
+      });
+    });
+
+    it('counts a client that connected and left as connected', function(done) {
+      spyOn(s.natState, 'onFailedToConnect');
+      spyOn(s.natState, 'onConnected');
+      s.beginServingClients();
+      settle().then(function() {
+        var pair = s.proxyPairs[0];
+        pair.pc.ondatachannel({ channel: { close: function() {} } });
+        spyOn(pair, 'connectRelay');
+        pair.client.onopen();
+        pair.close(ProxyPair.CLOSE_REASON.CLIENT_CLOSED);
+        clock.tick(c.datachannelTimeout);
+        expect(s.natState.onConnected).toHaveBeenCalled();
+        expect(s.natState.onFailedToConnect).not.toHaveBeenCalled();
+        done();
+      });
+    });
+
+    it('closes a connection that has gone quiet', function() {
+      var pair = s.makeProxyPair();
+      pair.pc.ondatachannel({ channel: {} });
+      spyOn(pair, 'connectRelay');
+      spyOn(pair, 'flush');
+      pair.client.onopen();
+      clock.tick(c.messageTimeout - 1);
+      pair.onClientToRelayMessage(new MessageEvent("message", {
+        data: Uint8Array.from([1, 2, 3]).buffer
+      }));
+      clock.tick(c.messageTimeout - 1);
+      expect(pair.closed).toBe(false);
+      clock.tick(1);
+      expect(pair.closed).toBe(true);
+    });
+
+  });
+
+  it('backs off when the broker fails', function(done) {
+    var broker, s;
+    broker = new FakeBroker();
+    var error = new BrokerError(BrokerError.KIND.NETWORK, Broker.MESSAGE.UNREACHABLE);
+    spyOn(broker, 'getClientOffer').and.returnValue(Promise.reject(error));
+    s = new Snowflake(config, new UI(), broker);
+    spyOn(s, 'scheduleNextPoll');
+    s.pollBroker();
+    setTimeout(function() {
+      expect(s.retryPolicy.failures).toBe(1);
+      expect(s.ui.brokerError).toBe(error);
+      expect(s.scheduleNextPoll).toHaveBeenCalled();
+      s.disable();
+      done();
+    });
+  });
+
   it('receives SDP offer and sends answer', function() {
     var broker, pair, s;
     broker = new FakeBroker();
@@ -98,6 +536,25 @@ describe('Snowflake', function() {
     expect(broker.sendAnswer).not.toHaveBeenCalled();
   });
 
+  it('only accepts relays matching the allowed patterns', function() {
+    var c, s, pair;
+    c = new Config();
+    c.allowedRelayPatterns = ['snowflake.torproject.net', '^relay.example.org'];
+    s = new Snowflake(c, ui, new FakeBroker());
+    pair = {
+      id: 'foo',
+      setRelayURL: function() {},
+      receiveWebRTCOffer: function() {
+        return true;
+      }
+    };
+    var offer = '{"type":"offer","sdp":"foo"}';
+    expect(s.receiveOffer(pair, offer, 'wss://01.snowflake.torproject.net/')).toBe(true);
+    expect(s.receiveOffer(pair, offer, 'wss://relay.example.org/')).toBe(true);
+    expect(s.receiveOffer(pair, offer, 'wss://evilsnowflake.torproject.net/')).toBe(false);
+    expect(s.receiveOffer(pair, offer, 'wss://sub.relay.example.org/')).toBe(false);
+  });
+
   it('can make a proxypair', function() {
     var s;
     s = new Snowflake(config, ui, new FakeBroker());
@@ -0,0 +1,103 @@
+/* global expect, it, describe, beforeEach, afterEach, HttpTransport, ManualClock, Logger */
+
+/*
+jasmine tests for the HTTP transport
+*/
+
+describe('HttpTransport', function() {
+
+  var clock, realFetch, transport;
+
+  // A fetch that never responds on its own, only rejects once aborted.
+  var hangingFetch = function(url, init) {
+    return new Promise(function(resolve, reject) {
+      init.signal.addEventListener('abort', function() {
+        reject(new Error('aborted'));
+      });
+    });
+  };
+
+  beforeEach(function() {
+    realFetch = global.fetch;
+    clock = new ManualClock;
+    transport = new HttpTransport(clock, new Logger(function() {}));
+  });
+
+  afterEach(function() {
+    global.fetch = realFetch;
+  });
+
+  it('resolves with the status and body of any response', function(done) {
+    global.fetch = function(url, init) {
+      expect(url).toBe('https://fake/proxy');
+      expect(init.method).toBe('POST');
+      expect(init.body).toBe('data');
+      return Promise.resolve({
+        status: 400,
+        statusText: 'Bad Request',
+        text: function() { return Promise.resolve('body'); }
+      });
+    };
+    transport.post('https://fake/proxy', 'data', 1000).then(function(res) {
+      expect(res).toEqual({ status: 400, statusText: 'Bad Request', body: 'body' });
+      expect(transport.controllers.size).toBe(0);
+      done();
+    });
+  });
+
+  it('rejects on network errors, and logs them', function(done) {
+    var write = jasmine.createSpy('write');
+    transport = new HttpTransport(clock, new Logger(write));
+    global.fetch = function() {
+      return Promise.reject(new TypeError('Failed to fetch'));
+    };
+    transport.post('https://fake/proxy', 'data', 1000).catch(function(err) {
+      expect(err).toBe(HttpTransport.ERROR.NETWORK);
+      expect(write).toHaveBeenCalledWith('HttpTransport: https://fake/proxy: TypeError: Failed to fetch');
+      done();
+    });
+  });
+
+  it('rejects once the deadline passes', function(done) {
+    global.fetch = hangingFetch;
+    transport.post('https://fake/proxy', 'data', 10).catch(function(err) {
+      expect(err).toBe(HttpTransport.ERROR.TIMEOUT);
+      expect(transport.controllers.size).toBe(0);
+      expect(clock.pending()).toBe(0);
+      done();
+    });
+    clock.tick(10);
+  });
+
+  it('stops listening to the caller\'s signal once done', function(done) {
+    var signal = new AbortController().signal;
+    spyOn(signal, 'removeEventListener').and.callThrough();
+    global.fetch = function() {
+      return Promise.resolve({
+        status: 200,
+        statusText: 'OK',
+        text: function() { return Promise.resolve(''); }
+      });
+    };
+    transport.post('https://fake/proxy', 'data', 1000, signal).then(function() {
+      expect(signal.removeEventListener).toHaveBeenCalledWith('abort', jasmine.any(Function));
+      done();
+    });
+  });
+
+  it('cancels all requests in flight', function(done) {
+    global.fetch = hangingFetch;
+    var first = transport.post('https://fake/proxy', 'data', 1000);
+    var second = transport.post('https://fake/answer', 'data', 1000);
+    expect(transport.controllers.size).toBe(2);
+    transport.abortAll();
+    Promise.all([
+      first.catch(function(err) { return err; }),
+      second.catch(function(err) { return err; })
+    ]).then(function(errs) {
+      expect(errs).toEqual([HttpTransport.ERROR.ABORTED, HttpTransport.ERROR.ABORTED]);
+      done();
+    });
+  });
+
+});
@@ -1,4 +1,4 @@
-/* global expect, it, describe, Parse, Params */
+/* global expect, it, describe, beforeAll, afterAll, beforeEach, afterEach, spyOn, pending, require, Parse, Params, Util, Config, HttpTransport */
 
 /*
 jasmine tests for Snowflake utils
@@ -213,6 +213,16 @@ describe('Parse', function() {
       }
     });
   });
+  describe('relatedPortFromCandidate', function() {
+
+    it('parses the local port', function() {
+      expect(Parse.relatedPortFromCandidate("candidate:1 1 UDP 1686052863 1.2.3.4 54297 typ srflx raddr 192.168.0.2 rport 50000")).toEqual("50000");
+      expect(Parse.relatedPortFromCandidate("candidate:0 1 UDP 2122252543 192.168.0.2 50000 typ host")).toBeNull();
+      expect(Parse.relatedAddressFromCandidate("candidate:1 1 UDP 1686052863 1.2.3.4 54297 typ srflx raddr 192.168.0.2 rport 50000")).toEqual("192.168.0.2");
+      expect(Parse.relatedAddressFromCandidate("candidate:0 1 UDP 2122252543 192.168.0.2 50000 typ host")).toBeNull();
+    });
+
+  });
   describe('isRemoteIP', function() {
 
     var testCases = [
@@ -356,4 +366,226 @@ describe('Params', function() {
 
   });
 
+  describe('rateLimit', function() {
+
+    var getRateLimit = function(query) {
+      return Params.getRateLimit(new URLSearchParams(query), 'ratelimit');
+    };
+
+    it('takes a single limit for both directions', function() {
+      expect(getRateLimit('ratelimit=1m')).toEqual({ rateLimitBytes: 1024 * 1024 });
+      expect(getRateLimit('foo=1m')).toEqual({});
+    });
+
+    it('takes a limit for each direction', function() {
+      expect(getRateLimit('ratelimit=up:200k,down:1m')).toEqual({
+        clientToRelayRateLimitBytes: 200 * 1024,
+        relayToClientRateLimitBytes: 1024 * 1024
+      });
+      expect(getRateLimit('ratelimit=down:1m')).toEqual({
+        relayToClientRateLimitBytes: 1024 * 1024
+      });
+    });
+
+    it('rejects anything else', function() {
+      expect(getRateLimit('ratelimit=x')).toBeNull();
+      expect(getRateLimit('ratelimit=up:x')).toBeNull();
+      expect(getRateLimit('ratelimit=sideways:1m')).toBeNull();
+      expect(getRateLimit('ratelimit=up')).toBeNull();
+    });
+
+  });
+
+});
+
+describe('Util', function() {
+
+  describe('classifyNATMapping', function() {
+
+    var host = { candidate: "candidate:0 1 UDP 2122252543 192.168.0.2 50000 typ host" };
+    var srflx = function(port, rport, server, raddr) {
+      return {
+        candidate: "candidate:1 1 UDP 1686052863 1.2.3.4 " + port + " typ srflx raddr " +
+          (raddr || "192.168.0.2") + " rport " + rport,
+        url: "stun:" + server + ".invalid"
+      };
+    };
+
+    it('knows nothing without candidates', function() {
+      expect(Util.classifyNATMapping([])).toBe(Util.NAT_MAPPING.UNKNOWN);
+    });
+
+    it('can\'t tell without server reflexive candidates', function() {
+      expect(Util.classifyNATMapping([host])).toBe(Util.NAT_MAPPING.UNKNOWN);
+    });
+
+    it('detects endpoint-independent mapping', function() {
+      expect(Util.classifyNATMapping([host, srflx(40000, 50000, 'a'), srflx(40001, 50001, 'b')]))
+      .toBe(Util.NAT_MAPPING.ENDPOINT_INDEPENDENT);
+      expect(Util.classifyNATMapping([host, srflx(40000, 50000, 'a'), srflx(40000, 50000, 'b')]))
+      .toBe(Util.NAT_MAPPING.ENDPOINT_INDEPENDENT);
+    });
+
+    it('detects symmetric mapping', function() {
+      expect(Util.classifyNATMapping([host, srflx(40000, 50000, 'a'), srflx(40002, 50000, 'b')]))
+      .toBe(Util.NAT_MAPPING.SYMMETRIC);
+    });
+
+    it('tells local sockets apart by address as well as port', function() {
+      expect(Util.classifyNATMapping([
+        srflx(40000, 50000, 'a'), srflx(40002, 50000, 'b', '10.0.0.2')
+      ])).toBe(Util.NAT_MAPPING.ENDPOINT_INDEPENDENT);
+    });
+
+    it('doesn\'t guess when local ports are hidden', function() {
+      expect(Util.classifyNATMapping([
+        srflx(40000, 0, 'a', '0.0.0.0'), srflx(40002, 0, 'b', '0.0.0.0')
+      ])).toBe(Util.NAT_MAPPING.UNKNOWN);
+      expect(Util.classifyNATMapping([
+        srflx(40000, 0, 'a', '0.0.0.0'), srflx(40000, 0, 'b', '0.0.0.0')
+      ])).toBe(Util.NAT_MAPPING.ENDPOINT_INDEPENDENT);
+    });
+
+    it('detects symmetric mapping without knowing the servers', function() {
+      var candidates = [srflx(40000, 50000), srflx(40002, 50000)];
+      candidates.forEach(function(c) {
+        delete c.url;
+      });
+      expect(Util.classifyNATMapping(candidates)).toBe(Util.NAT_MAPPING.SYMMETRIC);
+    });
+
+    it('needs at least two STUN servers to answer for endpoint-independent mapping', function() {
+      expect(Util.classifyNATMapping([host, srflx(40000, 50000, 'a')]))
+      .toBe(Util.NAT_MAPPING.UNKNOWN);
+      expect(Util.classifyNATMapping([host, srflx(40000, 50000, 'a'), srflx(40001, 50001, 'a')]))
+      .toBe(Util.NAT_MAPPING.UNKNOWN);
+    });
+
+  });
+
+  describe('checkNATType', function() {
+
+    // Against the probe test stand-in, with WebRTC faked on top of the mock
+    // PeerConnection from spec/snowflake.spec.js.
+    var probetest, config, candidates, reachable;
+
+    beforeAll(function(done) {
+      if (typeof fetch === 'undefined') {
+        return done();
+      }
+      require('../spec/probetest.js').startProbetest(function() {
+        return { type: 'answer', sdp: 'fake answer' };
+      }).then(function(p) {
+        probetest = p;
+        done();
+      });
+    });
+
+    afterAll(function(done) {
+      if (probetest) {
+        probetest.close().then(done);
+      } else {
+        done();
+      }
+    });
+
+    beforeEach(function() {
+      if (typeof fetch === 'undefined') {
+        pending('fetch is not available');
+      }
+      probetest.offers.length = 0;
+      config = new Config;
+      config.probeUrl = probetest.url;
+      config.probeTimeout = 100;
+      candidates = [{ candidate: "candidate:0 1 UDP 2122252543 192.168.0.2 50000 typ host" }];
+      reachable = true;
+      RTCPeerConnection.prototype.createDataChannel = function() {
+        this.channel = { close: function() {} };
+        return this.channel;
+      };
+      RTCPeerConnection.prototype.createOffer = function() {
+        return Promise.resolve({ type: 'offer', sdp: 'fake offer' });
+      };
+      spyOn(RTCPeerConnection.prototype, 'setLocalDescription').and.callFake(function(desc) {
+        var pc = this;
+        pc.localDescription = desc;
+        setTimeout(function() {
+          candidates.forEach(function(c) {
+            pc.onicecandidate({ candidate: { candidate: c.candidate }, url: c.url });
+          });
+          pc.onicecandidate({ candidate: null });
+        });
+        return Promise.resolve();
+      });
+      spyOn(RTCPeerConnection.prototype, 'setRemoteDescription').and.callFake(function() {
+        var channel = this.channel;
+        if (reachable) {
+          setTimeout(function() { channel.onopen(); });
+        }
+      });
+    });
+
+    afterEach(function() {
+      delete RTCPeerConnection.prototype.createDataChannel;
+      delete RTCPeerConnection.prototype.createOffer;
+    });
+
+    var srflx = function(port, server) {
+      return {
+        candidate: "candidate:1 1 UDP 1686052863 1.2.3.4 " + port + " typ srflx raddr 192.168.0.2 rport 50000",
+        url: "stun:" + server + ".invalid"
+      };
+    };
+
+    it('is unrestricted when the probe test peer gets through', function(done) {
+      candidates.push(srflx(40000, 'a'), srflx(40000, 'b'));
+      Util.checkNATType(config).then(function(result) {
+        expect(result).toEqual({ natType: 'unrestricted', mapping: Util.NAT_MAPPING.ENDPOINT_INDEPENDENT });
+        expect(probetest.offers).toEqual([{ type: 'offer', sdp: 'fake offer' }]);
+        done();
+      });
+    });
+
+    it('is restricted when the probe test peer doesn\'t get through', function(done) {
+      candidates.push(srflx(40000, 'a'), srflx(40000, 'b'));
+      reachable = false;
+      Util.checkNATType(config).then(function(result) {
+        expect(result.natType).toBe('restricted');
+        expect(probetest.offers.length).toBe(1);
+        done();
+      });
+    });
+
+    it('skips the probe test behind a symmetric NAT', function(done) {
+      candidates.push(srflx(40000, 'a'), srflx(40002, 'b'));
+      Util.checkNATType(config).then(function(result) {
+        expect(result).toEqual({ natType: 'restricted', mapping: Util.NAT_MAPPING.SYMMETRIC });
+        expect(probetest.offers.length).toBe(0);
+        done();
+      });
+    });
+
+    it('still takes the probe test server from Config.PROBEURL', function(done) {
+      var transport = {
+        post: jasmine.createSpy('post').and.returnValue(Promise.resolve({
+          status: 200, body: '{"Answer": "answer"}'
+        }))
+      };
+      Config.PROBEURL = 'https://probe.invalid/probe';
+      Util.sendOffer({ type: 'offer', sdp: 'foo' }, config, transport).then(function(answer) {
+        Config.PROBEURL = null;
+        expect(answer).toBe('answer');
+        expect(transport.post.calls.argsFor(0)[0]).toBe('https://probe.invalid/probe');
+        done();
+      });
+    });
+
+    it('fails without the probe test server', function(done) {
+      candidates.push(srflx(40000, 'a'), srflx(40000, 'b'));
+      config.probeUrl = 'http://127.0.0.1:1/probe';
+      Util.checkNATType(config, new HttpTransport()).then(fail, done);
+    });
+
+  });
+
 });
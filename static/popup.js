@@ -10,6 +10,37 @@ function setClass(elem, className, cond) {
   }
 }
 
+// Like `1.5 GB`.
+function formatBytes(bytes) {
+  const units = ['B', 'kB', 'MB', 'GB', 'TB'];
+  let i = 0;
+  while (bytes >= 1000 && i < units.length - 1) {
+    bytes /= 1000;
+    i++;
+  }
+  return (i > 0 ? bytes.toFixed(1) : String(bytes)) + ' ' + units[i];
+}
+
+/**
+ * @param {(m: string, ...args: string[]) => string} getMsgFunc
+ * @param {{ kind: string, httpStatus?: number }} error a `BrokerError`, or
+ * what the background page passes on of one.
+ * @returns {string} what went wrong, by `error.kind`.
+ */
+function brokerErrorMessage(getMsgFunc, error) {
+  switch (error.kind) {
+    case 'client':
+    case 'server':
+      return getMsgFunc('popupBrokerErrorHttp', String(error.httpStatus));
+    case 'malformed':
+    case 'status':
+      return getMsgFunc('popupBrokerErrorMalformed');
+    default:
+      // 'network', which includes timeouts.
+      return getMsgFunc('popupBrokerError');
+  }
+}
+
 class Popup {
   /**
    * @param {() => void} [onRunInBackgroundChange]
@@ -27,6 +58,7 @@ class Popup {
     this.div = document.getElementById('active');
     this.statustext = document.getElementById('statustext');
     this.statusdesc = document.getElementById('statusdesc');
+    this.quota = document.getElementById('quota');
     this.img = document.getElementById('statusimg');
     this.enabledWrapper = document.getElementById('enabled-wrapper');
     if (
@@ -85,6 +117,12 @@ class Popup {
   setChecked(checked) {
     this.enabled.checked = checked;
   }
+  /**
+   * @param {string | null} [url] of the broker currently in use.
+   */
+  setBroker(url) {
+    this.statustext.title = url ? this.getMsgFunc('popupBroker', url) : '';
+  }
   static fill(n, func) {
     switch(n.nodeType) {
       case 3: {  // Node.TEXT_NODE
@@ -97,7 +135,13 @@ class Popup {
         break;
     }
   }
-  turnOn(clients, total) {
+  /**
+   * @param {number} clients
+   * @param {number} total
+   * @param {{ kind: string, httpStatus?: number } | null} [brokerError] the
+   * latest broker failure.
+   */
+  turnOn(clients, total, brokerError) {
     this.setChecked(true);
     if (clients > 0) {
       this.setStatusText(this.getMsgFunc('popupStatusOn', String(clients)));
@@ -106,7 +150,11 @@ class Popup {
       this.setStatusText(this.getMsgFunc('popupStatusReady'));
       this.active = false;
     }
-    this.setStatusDesc((total > 0) ? this.getMsgFunc('popupDescOn', String(total)) : '');
+    if (brokerError) {
+      this.setStatusDesc(brokerErrorMessage(this.getMsgFunc, brokerError), true);
+    } else {
+      this.setStatusDesc((total > 0) ? this.getMsgFunc('popupDescOn', String(total)) : '');
+    }
     this.setEnabled(true);
     this.setActive(this.active);
     this.setEnabledWrapper(false);
@@ -121,6 +169,48 @@ class Popup {
     this.setEnabledWrapper(error);
     this.setRetry(retry);
   }
+  /**
+   * @param {number} clients still being served while turning off.
+   */
+  setDraining(clients) {
+    this.setStatusDesc(clients > 0 ? this.getMsgFunc('popupDraining', String(clients)) : '');
+  }
+  /**
+   * Turned on, but waiting for the schedule to let us run.
+   * @param {number} nextStart timestamp of when that is.
+   */
+  setScheduled(nextStart) {
+    const when = new Date(nextStart).toLocaleString(undefined, {
+      weekday: 'short',
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+    this.setStatusText(this.getMsgFunc('popupScheduled', when));
+    this.active = false;
+    this.setActive(false);
+  }
+  /**
+   * @param {QuotaUsage | null} [usage] hidden without any quota.
+   */
+  setQuota(usage) {
+    const lines = [];
+    if (usage && usage.exceeded) {
+      lines.push(this.getMsgFunc('popupQuotaReached'));
+    }
+    if (usage && undefined !== usage.dailyQuotaBytes) {
+      lines.push(this.getMsgFunc('popupQuotaDaily', [
+        formatBytes(usage.dayBytes), formatBytes(usage.dailyQuotaBytes)
+      ]));
+    }
+    if (usage && undefined !== usage.monthlyQuotaBytes) {
+      lines.push(this.getMsgFunc('popupQuotaMonthly', [
+        formatBytes(usage.monthBytes), formatBytes(usage.monthlyQuotaBytes)
+      ]));
+    }
+    this.quota.innerText = lines.join('\n');
+    setClass(this.quota, 'display-none', lines.length === 0);
+    setClass(this.quota, 'error', usage && usage.exceeded);
+  }
   missingFeature(desc) {
     this.turnOff(desc, true, desc === 'popupBridgeUnreachable');
   }
@@ -0,0 +1,171 @@
+/* global Clock, Logger, require */
+/* exported HttpTransport, NodeHttpTransport */
+
+/**
+HTTP requests to the broker.
+
+Every request gets a deadline and can be cancelled, so that a hung broker
+doesn't stall the proxy and a disabled proxy doesn't keep polling.
+*/
+
+class HttpTransport {
+
+  /**
+   * @param {Clock} [clock] for the deadlines, usually `config.clock`.
+   * @param {Logger} [logger]
+   */
+  constructor(clock, logger) {
+    this.clock = clock || new Clock();
+    this.logger = logger || new Logger();
+    /**
+     * Controllers of the requests that are still in flight.
+     * @type {Set<AbortController>}
+     * @private
+     */
+    this.controllers = new Set();
+  }
+
+  /**
+   * @param {string} url
+   * @param {string} payload
+   * @param {number} timeout in milliseconds
+   * @param {AbortSignal} [signal] to cancel the request with.
+   * @returns {Promise<HttpTransportResponse>} see `request`.
+   */
+  post(url, payload, timeout, signal) {
+    return this.request(url, { method: 'POST', body: payload, signal: signal }, timeout);
+  }
+
+  /**
+   * Resolves with the response regardless of its HTTP status.
+   * Rejects with one of `HttpTransport.ERROR` if no response could be
+   * received in time.
+   * @param {string} url
+   * @param {{ method: string, body?: string, headers?: Object<string, string>, signal?: AbortSignal }} init
+   * `signal` cancels the request like `abortAll` does.
+   * @param {number} timeout in milliseconds
+   * @returns {Promise<HttpTransportResponse>}
+   */
+  request(url, init, timeout) {
+    const controller = new AbortController();
+    this.controllers.add(controller);
+    const onAbort = () => controller.abort();
+    if (init.signal) {
+      if (init.signal.aborted) {
+        controller.abort();
+      } else {
+        init.signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+    let timedOut = false;
+    const timeoutId = this.clock.setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    return this.send(url, init, controller.signal)
+    .catch((e) => {
+      if (timedOut) {
+        throw HttpTransport.ERROR.TIMEOUT;
+      }
+      if (controller.signal.aborted) {
+        throw HttpTransport.ERROR.ABORTED;
+      }
+      /*
+      This also happens when, for example, NoScript allows the domain on which
+      the proxy badge runs, but not the domain to which it's trying to make
+      the request.
+      */
+      this.logger.log('HttpTransport: ' + url + ': ' + e);
+      throw HttpTransport.ERROR.NETWORK;
+    })
+    .finally(() => {
+      this.clock.clearTimeout(timeoutId);
+      this.controllers.delete(controller);
+      // The caller's signal may outlive this request by far.
+      if (init.signal) {
+        init.signal.removeEventListener('abort', onAbort);
+      }
+    });
+  }
+
+  /**
+   * Make the request, without the deadline and error handling of `request`.
+   * @param {string} url
+   * @param {{ method: string, body?: string, headers?: Object<string, string> }} init
+   * @param {AbortSignal} signal
+   * @returns {Promise<HttpTransportResponse>}
+   * @protected
+   */
+  send(url, init, signal) {
+    return fetch(url, {
+      method: init.method,
+      body: init.body,
+      headers: init.headers,
+      signal: signal,
+    })
+    .then(response => response.text().then(body => ({
+      status: response.status,
+      statusText: response.statusText,
+      body: body,
+    })));
+  }
+
+  /** Cancel every request that is still in flight. */
+  abortAll() {
+    for (const controller of this.controllers) {
+      controller.abort();
+    }
+    this.controllers.clear();
+  }
+
+}
+
+// `fetch` drops a `Host` header set by the script, see `canSetHost`.
+HttpTransport.prototype.canSetHost = false;
+
+
+/**
+ * Requests through Node's `http` and `https` modules, which, unlike `fetch`,
+ * send the `Host` header they are given. That's what domain fronting needs.
+ */
+class NodeHttpTransport extends HttpTransport {
+
+  send(url, init, signal) {
+    const lib = require(0 === url.indexOf('https:') ? 'https' : 'http');
+    return new Promise((resolve, reject) => {
+      const req = lib.request(url, {
+        method: init.method,
+        headers: init.headers,
+        signal: signal,
+      }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          body += chunk;
+        });
+        res.on('end', () => {
+          resolve({ status: res.statusCode, statusText: res.statusMessage, body: body });
+        });
+        res.on('error', reject);
+      });
+      req.on('error', reject);
+      req.end(init.body);
+    });
+  }
+
+}
+
+NodeHttpTransport.prototype.canSetHost = true;
+
+/**
+ * @typedef {Object} HttpTransportResponse
+ * @property {number} status
+ * @property {string} statusText
+ * @property {string} body
+ */
+
+HttpTransport.ERROR = {
+  NETWORK: 'Network error.',
+  TIMEOUT: 'Request timed out.',
+  ABORTED: 'Request was cancelled.'
+};
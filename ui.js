@@ -1,3 +1,5 @@
+/* global Snowflake */
+
 /**
 All of Snowflake's DOM manipulation and inputs.
 */
@@ -17,6 +19,38 @@ class UI {
     }), 60 * 60 * 1000);
   }
 
+  /**
+   * Keep the client count and status up to date with what `snowflake` does.
+   * @param {Snowflake} snowflake
+   */
+  subscribe(snowflake) {
+    this.quota = snowflake.quota;
+    snowflake.on(Snowflake.EVENT.POLL, () => {
+      let msg = 'Polling for client ... ';
+      if (snowflake.retries > 0) {
+        msg += '[retries: ' + snowflake.retries + ']';
+      }
+      this.setStatus(msg);
+    });
+    snowflake.on(Snowflake.EVENT.CHANNEL_OPEN, () => {
+      this.increaseClients();
+    });
+    snowflake.on(Snowflake.EVENT.RELAY_OPEN, () => {
+      this.setStatus('connected');
+    });
+    snowflake.on(Snowflake.EVENT.STATE, (state) => {
+      this.draining = state === Snowflake.STATE.DRAINING;
+      this.postActive();
+    });
+    snowflake.on(Snowflake.EVENT.CLOSE, (pair, reason) => {
+      if (!pair.wasConnected) {
+        return;
+      }
+      this.setStatus('disconnected' + (reason ? ' (' + reason + ').' : '.'));
+      this.decreaseClients();
+    });
+  }
+
   setStatus() {}
 
   get active() {
@@ -41,9 +75,42 @@ class UI {
     return this.clients;
   }
 
+  /**
+   * @param {BrokerError | null} error the latest broker failure, or `null`
+   * once the broker replies as expected again.
+   */
+  setBrokerError(error) {
+    if (error === this.brokerError) {
+      return;
+    }
+    this.brokerError = error;
+    this.postActive();
+  }
+
+  /**
+   * @param {ReturnType<Broker['getEndpoints']>} endpoints
+   */
+  setBrokerEndpoints(endpoints) {
+    const previous = this.activeBrokerUrl;
+    this.brokerEndpoints = endpoints;
+    const active = endpoints.find(e => e.active);
+    this.activeBrokerUrl = active ? active.url : null;
+    if (previous !== this.activeBrokerUrl) {
+      this.postActive();
+    }
+  }
+
   log() {}
 
 }
 
 UI.prototype.clients = 0;
+// Whether the clients we have are the last ones before turning off.
+UI.prototype.draining = false;
+
+/** @type {Quota | null} */
+UI.prototype.quota = null;
 UI.prototype.stats = null;
+UI.prototype.brokerError = null;
+UI.prototype.brokerEndpoints = null;
+UI.prototype.activeBrokerUrl = null;
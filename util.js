@@ -1,5 +1,5 @@
 /* exported Util, Params, DummyRateLimit */
-/* global Config */
+/* global HttpTransport, Clock, Config */
 
 /**
 A JavaScript WebRTC snowflake proxy
@@ -21,17 +21,39 @@ class Util {
     return navigator.cookieEnabled;
   }
 
+  /**
+   * Classify our NAT. A symmetric NAT means we can't reach clients behind
+   * restricted NATs, so there's no point in running the probe test then.
+   * @param {Config} config for `probeUrl`, `probeStunServers` and
+   * `probeTimeout`.
+   * @param {HttpTransport} [transport] for reaching the probe test server.
+   * @returns {Promise<NATCheckResult>} rejects if we fail to reach the probe
+   * test server.
+   */
+  static checkNATType(config, transport) {
+    return Util.checkNATMapping(config.probeStunServers, config.probeTimeout)
+    .then((mapping) => {
+      if (mapping === Util.NAT_MAPPING.SYMMETRIC) {
+        return { natType: "restricted", mapping: mapping };
+      }
+      return Util.probeNATType(config, transport || new HttpTransport(config.clock))
+      .then(natType => ({ natType: natType, mapping: mapping }));
+    });
+  }
+
   /**
    * @returns {Promise<"restricted" | "unrestricted">}
    * resolves to "restricted" if we
    * fail to make a test connection to a known restricted
    * NAT, "unrestricted" if the test connection succeeds, and
-   * "unknown" if we fail to reach the probe test server
-   * @param {number} timeout
+   * rejects if we fail to reach the probe test server
+   * @param {Config} config
+   * @param {HttpTransport} transport
+   * @private
    */
-  static checkNATType(timeout) {
+  static probeNATType(config, transport) {
     let pc = new RTCPeerConnection({iceServers: [
-      {urls: 'stun:stun1.l.google.com:19302'}
+      {urls: config.probeStunServers[0]}
     ]});
     let channel = pc.createDataChannel("NAT test");
     return (new Promise((fulfill, reject) => {
@@ -43,13 +65,13 @@ class Util {
       pc.onicecandidate = (evt) => {
         if (evt.candidate == null) {
           //ice gathering is finished
-          Util.sendOffer(pc.localDescription)
+          Util.sendOffer(pc.localDescription, config, transport)
           .then((answer) => {
             setTimeout(() => {
               if(!open) {
                 fulfill("restricted");
               }
-            }, timeout);
+            }, config.probeTimeout);
             pc.setRemoteDescription(JSON.parse(answer));
           }).catch((e) => {
             console.log(e);
@@ -70,41 +92,135 @@ class Util {
   }
 
   /**
-   * Assumes getClientOffer happened, and a WebRTC SDP answer has been generated.
-   * Sends it back to the broker, which passes it back to the original client.
-   * @param {RTCSessionDescription} offer
+   * Find out whether our NAT maps a local port to the same public port for
+   * every destination, by asking several STUN servers for our address.
+   * @param {string[]} stunServers at least two of them.
+   * @param {number} timeout for gathering candidates.
+   * @returns {Promise<string>} one of `Util.NAT_MAPPING`
    */
-  static sendOffer(offer) {
-    return new Promise((fulfill, reject) => {
-      const xhr = new XMLHttpRequest();
-      xhr.timeout = 30 * 1000;
-      xhr.onreadystatechange = function() {
-        if (xhr.DONE !== xhr.readyState) {
+  static checkNATMapping(stunServers, timeout) {
+    const pc = new RTCPeerConnection({
+      iceServers: stunServers.map(urls => ({ urls: urls }))
+    });
+    pc.createDataChannel("NAT mapping test");
+    const candidates = [];
+    return (new Promise((fulfill) => {
+      const timeoutId = setTimeout(() => {
+        fulfill(Util.classifyNATMapping(candidates));
+      }, timeout);
+      pc.onicecandidate = (evt) => {
+        if (evt.candidate == null) {
+          clearTimeout(timeoutId);
+          fulfill(Util.classifyNATMapping(candidates));
           return;
         }
-        switch (xhr.status) {
-          case 200: {
-            const response = JSON.parse(xhr.responseText);
-            return fulfill(response.Answer); // Should contain offer.
-          }
-          default:
-            console.log('Probe ERROR: Unexpected ' + xhr.status + ' - ' + xhr.statusText);
-            return reject('Failed to get answer from probe service');
-        }
+        candidates.push({ candidate: evt.candidate.candidate, url: evt.candidate.url || evt.url });
       };
-      const data = {"Status": "client match", "Offer": JSON.stringify(offer)};
-      try {
-        xhr.open('POST', Config.PROBEURL);
-      } catch (error) {
-        console.log('Signaling Server: exception while connecting: ' + error.message);
-        return reject('unable to connect to signaling server');
+      pc.createOffer()
+      .then((offer) => pc.setLocalDescription(offer))
+      .catch((e) => {
+        console.log(e);
+        clearTimeout(timeoutId);
+        fulfill(Util.NAT_MAPPING.UNKNOWN);
+      });
+    }).finally(() => {
+      pc.close();
+    }));
+  }
+
+  /**
+   * Every local socket asks every STUN server, so if the server reflexive
+   * candidates of one local socket have different mapped ports, the mapping
+   * depends on the destination, whichever servers they came from. Telling
+   * that it doesn't takes answers from at least two servers.
+   *
+   * Browsers that hide local addresses behind mDNS report `rport 0` for
+   * every candidate. Different mapped ports may then just be different local
+   * sockets, so that's unknown.
+   *
+   * Without any server reflexive candidates, UDP may be blocked, or the STUN
+   * servers just out of reach. That's unknown too.
+   * @param {Array<{ candidate: string, url?: string }>} candidates as in
+   * `RTCPeerConnectionIceEvent`, `url` being the STUN server that gave the
+   * candidate, if the browser tells.
+   * @returns {string} one of `Util.NAT_MAPPING`
+   */
+  static classifyNATMapping(candidates) {
+    if (candidates.length === 0) {
+      return Util.NAT_MAPPING.UNKNOWN;
+    }
+    /** @type {Map<string, Set<string>>} local address and port -> mapped ports */
+    const mapped = new Map();
+    const servers = new Set();
+    let hidden = false;
+    for (const c of candidates) {
+      const port = Parse.portFromCandidate(c.candidate);
+      if (port === null) {
+        continue;
+      }
+      servers.add(c.url);
+      const localPort = Parse.relatedPortFromCandidate(c.candidate);
+      if ('0' === localPort) {
+        hidden = true;
       }
-      xhr.send(JSON.stringify(data));
+      const local = Parse.relatedAddressFromCandidate(c.candidate) + ' ' + localPort;
+      if (!mapped.has(local)) {
+        mapped.set(local, new Set());
+      }
+      mapped.get(local).add(port);
+    }
+    for (const ports of mapped.values()) {
+      if (ports.size > 1) {
+        return hidden ? Util.NAT_MAPPING.UNKNOWN : Util.NAT_MAPPING.SYMMETRIC;
+      }
+    }
+    servers.delete(undefined);
+    if (servers.size < 2) {
+      return Util.NAT_MAPPING.UNKNOWN;
+    }
+    return Util.NAT_MAPPING.ENDPOINT_INDEPENDENT;
+  }
+
+  /**
+   * Send our offer to the probe test server, as if it came from a client
+   * through the broker, and promise its answer.
+   * @param {RTCSessionDescription} offer
+   * @param {Config} config for `probeUrl`, unless the older `Config.PROBEURL`
+   * is set, and `probeTimeout`.
+   * @param {HttpTransport} transport
+   * @returns {Promise<string>} the JSON-encoded answer.
+   */
+  static sendOffer(offer, config, transport) {
+    const data = {"Status": "client match", "Offer": JSON.stringify(offer)};
+    const url = Config.PROBEURL || config.probeUrl;
+    return transport.post(url, JSON.stringify(data), config.probeTimeout)
+    .then((res) => {
+      if (200 !== res.status) {
+        console.log('Probe ERROR: Unexpected ' + res.status + ' - ' + res.statusText);
+        throw 'Failed to get answer from probe service';
+      }
+      return JSON.parse(res.body).Answer;
+    }, (err) => {
+      console.log('Probe ERROR: ' + err);
+      throw 'unable to connect to the probe service';
     });
   }
 }
 
 
+Util.NAT_MAPPING = {
+  ENDPOINT_INDEPENDENT: 'endpoint-independent',
+  SYMMETRIC: 'symmetric',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * @typedef {Object} NATCheckResult
+ * @property {"restricted" | "unrestricted"} natType what the broker goes by.
+ * @property {string} mapping one of `Util.NAT_MAPPING`
+ */
+
+
 class Parse {
 
   /**
@@ -158,6 +274,35 @@ class Parse {
     return count * multiplier;
   }
 
+  /**
+   * Parse a rate limit: either a byte count for both directions together,
+   * like '1m', or one for each, like 'up:200k,down:1m', where up is from the
+   * client to the relay. Either direction may be left out.
+   * @param {string} spec
+   * @returns {Object<string, number> | null} the `Config` properties to set,
+   * or null on a parsing error.
+   */
+  static rateLimit(spec) {
+    if (!spec.includes(':')) {
+      const bytes = Parse.byteCount(spec);
+      return null === bytes ? null : { rateLimitBytes: bytes };
+    }
+    const KEYS = new Map([
+      ['up', 'clientToRelayRateLimitBytes'],
+      ['down', 'relayToClientRateLimitBytes'],
+    ]);
+    const result = {};
+    for (const part of spec.split(',')) {
+      const [direction, count] = part.split(':');
+      const bytes = undefined === count ? null : Parse.byteCount(count);
+      if (!KEYS.has(direction) || null === bytes) {
+        return null;
+      }
+      result[KEYS.get(direction)] = bytes;
+    }
+    return result;
+  }
+
   /**
    * Parse a remote connection-address out of the "c=" Connection Data field
    * or the "a=" attribute fields of the session description.
@@ -196,6 +341,32 @@ class Parse {
     return null;
   }
 
+  /**
+   * Parse the local address that a server reflexive candidate is mapped from.
+   * @param {string} c
+   * @returns {string | null}
+   */
+  static relatedAddressFromCandidate(c) {
+    const m = / raddr (\S+)/.exec(c);
+    if (m != null) {
+      return m[1];
+    }
+    return null;
+  }
+
+  /**
+   * Parse the local port that a server reflexive candidate is mapped from.
+   * @param {string} c
+   * @returns {string | null}
+   */
+  static relatedPortFromCandidate(c) {
+    const m = / rport (\d+)/.exec(c);
+    if (m != null) {
+      return m[1];
+    }
+    return null;
+  }
+
   /** Determine whether an IP address is a local, unspecified, or loopback address */
   static isRemoteIP(ip) {
     if (ip.includes(":")) {
@@ -251,18 +422,37 @@ class Params {
     return Parse.byteCount(query.get(param));
   }
 
+  /**
+   * Get an object value and parse it as a rate limit, see `Parse.rateLimit`.
+   * Returns an empty object if param is not a key, and null on a parsing
+   * error.
+   */
+  static getRateLimit(query, param) {
+    if (!query.has(param)) {
+      return {};
+    }
+    return Parse.rateLimit(query.get(param));
+  }
+
 }
 
 
 class BucketRateLimit {
 
-  constructor(capacity, time) {
+  /**
+   * @param {number} capacity in bytes.
+   * @param {number} time in seconds, to go from full to empty.
+   * @param {Clock} [clock]
+   */
+  constructor(capacity, time, clock) {
     this.capacity = capacity;
     this.time = time;
+    this.clock = clock || new Clock();
+    this.lastUpdate = this.clock.now();
   }
 
   age() {
-    const now = new Date();
+    const now = this.clock.now();
     const delta = (now - this.lastUpdate) / 1000.0;
     this.lastUpdate = now;
     this.amount -= delta * this.capacity / this.time;
@@ -292,8 +482,6 @@ class BucketRateLimit {
 
 BucketRateLimit.prototype.amount = 0.0;
 
-BucketRateLimit.prototype.lastUpdate = new Date();
-
 
 /** A rate limiter that never limits. */
 class DummyRateLimit {
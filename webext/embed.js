@@ -26,7 +26,10 @@ window.onload = () => {
   );
 
   port.onMessage.addListener((m) => {
-    const { clients, enabled, total, missingFeature } = m;
+    const { clients, enabled, total, missingFeature, brokerError, broker, draining, nextStart, quota } = m;
+
+    popup.setBroker(broker);
+    popup.setQuota(quota);
 
     if (missingFeature) {
       popup.missingFeature(missingFeature);
@@ -34,9 +37,15 @@ window.onload = () => {
     }
 
     if (enabled) {
-      popup.turnOn(clients, total);
+      popup.turnOn(clients, total, brokerError);
+      if (nextStart) {
+        popup.setScheduled(nextStart);
+      }
     } else {
       popup.turnOff();
     }
+    if (draining > 0) {
+      popup.setDraining(draining);
+    }
   });
 };
@@ -0,0 +1,143 @@
+/* global chrome, Popup */
+
+/*
+The options page. Settings are stored in `chrome.storage.local` under the
+'settings' key, and override the `Config` properties of the same names, see
+`applySettings` in init-webext.js.
+*/
+
+const GB = 1000 * 1000 * 1000;
+
+// Like `Parse.byteCount`'s 'k'.
+const KB = 1024;
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * @param {number} minutes past midnight.
+ * @returns {string} like `08:30`.
+ */
+function formatTime(minutes) {
+  const pad = n => String(n).padStart(2, '0');
+  return pad(Math.floor(minutes / 60)) + ':' + pad(minutes % 60);
+}
+
+/**
+ * Read a line like `mon-fri 18:00-08:00` into schedule windows, one per day.
+ * See `Schedule` in schedule.js.
+ * @param {string} line
+ * @returns {{ day: number, start: number, end: number }[]}
+ */
+function parseScheduleLine(line) {
+  const re = /^([a-z]{3})(?:-([a-z]{3}))?\s+(\d\d?):(\d\d)-(\d\d?):(\d\d)$/;
+  const m = re.exec(line.trim().toLowerCase());
+  const first = m ? DAYS.indexOf(m[1]) : -1;
+  const last = m && m[2] ? DAYS.indexOf(m[2]) : first;
+  const start = m ? Number(m[3]) * 60 + Number(m[4]) : NaN;
+  const end = m ? Number(m[5]) * 60 + Number(m[6]) : NaN;
+  if (first < 0 || last < 0 || !(start < 24 * 60) || !(end <= 24 * 60)
+    || Number(m[4]) >= 60 || Number(m[6]) >= 60) {
+    throw chrome.i18n.getMessage('optionsScheduleInvalid', line.trim());
+  }
+  const windows = [];
+  // Ranges of days may wrap around the week, like `fri-mon`.
+  for (let day = first; ; day = (day + 1) % DAYS.length) {
+    windows.push({ day, start, end });
+    if (day === last) {
+      break;
+    }
+  }
+  return windows;
+}
+
+/**
+ * How to show each setting in the form and read it back. Missing `format` and
+ * `parse` mean the value is stored as is. An empty field means "use the
+ * default", and is not stored at all.
+ * @type {Object<string, { format?: (value: any) => string, parse?: (str: string) => any }>}
+ */
+const FIELDS = {
+  rendezvousMethod: {},
+  ampCacheUrl: {},
+  // One per line.
+  allowedRelayPatterns: {
+    format: value => value.join('\n'),
+    parse: str => str.split(/\s+/).filter(p => p !== ''),
+  },
+  // Stored in bytes per second.
+  clientToRelayRateLimitBytes: {
+    format: value => String(value / KB),
+    parse: str => Math.round(Number(str) * KB),
+  },
+  relayToClientRateLimitBytes: {
+    format: value => String(value / KB),
+    parse: str => Math.round(Number(str) * KB),
+  },
+  // Stored in bytes.
+  dailyQuotaBytes: {
+    format: value => String(value / GB),
+    parse: str => Math.round(Number(str) * GB),
+  },
+  monthlyQuotaBytes: {
+    format: value => String(value / GB),
+    parse: str => Math.round(Number(str) * GB),
+  },
+  // One window per line, see `parseScheduleLine`.
+  schedule: {
+    format: value => value.map(w =>
+      `${DAYS[w.day]} ${formatTime(w.start)}-${formatTime(w.end)}`
+    ).join('\n'),
+    parse: str => [].concat(
+      ...str.split('\n').filter(l => l.trim() !== '').map(parseScheduleLine)
+    ),
+  },
+};
+
+window.onload = () => {
+  Popup.fill(document.body, (m) => {
+    return chrome.i18n.getMessage(m);
+  });
+
+  /** @type {HTMLFormElement} */
+  const form = document.getElementById('settings');
+  const saved = document.getElementById('saved');
+
+  new Promise(r => chrome.storage.local.get({ settings: {} }, r))
+  .then(({ settings }) => {
+    for (const [name, field] of Object.entries(FIELDS)) {
+      const value = settings[name];
+      if (value === undefined) {
+        continue;
+      }
+      form.elements[name].value = field.format ? field.format(value) : value;
+    }
+  });
+
+  form.addEventListener('input', (event) => {
+    saved.classList.add('display-none');
+    event.target.setCustomValidity('');
+  });
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const settings = {};
+    for (const [name, field] of Object.entries(FIELDS)) {
+      const element = form.elements[name];
+      const str = element.value.trim();
+      if (str === '') {
+        continue;
+      }
+      try {
+        settings[name] = field.parse ? field.parse(str) : str;
+      } catch (message) {
+        element.setCustomValidity(message);
+        form.reportValidity();
+        return;
+      }
+    }
+    new Promise(r => chrome.storage.local.set({ settings }, r))
+    .then(() => {
+      saved.classList.remove('display-none');
+    });
+  });
+};
@@ -28,6 +28,30 @@ class WS {
     return ws;
   }
 
+  /**
+   * @param {WebSocket} ws
+   * @returns {boolean} whether `ws.send` takes a callback, to be called once
+   * the message has been written out. The `ws` package's WebSockets do, those
+   * of browsers don't.
+   */
+  static reportsSends(ws) {
+    return 'function' === typeof ws.on;
+  }
+
+  /**
+   * @param {WebSocket} ws
+   * @returns {{ pause: () => void, resume: () => void } | null} the Node
+   * socket that a WebSocket of the `ws` package reads from, which, unlike
+   * the WebSocket itself or a browser's, can be paused.
+   */
+  static pausableSocket(ws) {
+    const socket = ws._socket;
+    if (socket && 'function' === typeof socket.pause && 'function' === typeof socket.resume) {
+      return socket;
+    }
+    return null;
+  }
+
   /**
    * @param {URL | string} addr
    */